@@ -0,0 +1,105 @@
+/**
+ * Benchmark of the KakurasuSubsetEngine, run by: npm run benchmark
+ * Compares the engine with trying every subset of a line and times the line methods of a game and the solver on
+ * big boards with and without the memoized results.
+ */
+const {Kakurasu, KakurasuLevelGenerator, KakurasuSolver, KakurasuSubsetEngine} = require("../src/index.js");
+
+const LINE_LENGTHS = [10, 15, 20];
+const AMOUNT_LINES = 200;
+const BOARD_SIZE = 20;
+const AMOUNT_BOARDS = 3;
+
+/**
+ * Seeded so every run benchmarks the same lines
+ */
+function createRandom(seed){
+    return () => {
+        seed = (seed*1103515245+12345)%2147483648;
+        return seed/2147483648;
+    };
+}
+
+function time(name, run){
+    let startTime = Date.now();
+    let result = run();
+    console.log(name+": "+(Date.now()-startTime)+" ms");
+    return result;
+}
+
+function getRandomLine(random, length){
+    let weights = KakurasuLevelGenerator.getWeights("default", length);
+    let values = weights.map(() => {
+        let value = random();
+        return value < 0.2 ? 1 : value < 0.4 ? 0 : -1;
+    });
+    let constraint = Math.floor(random()*weights.reduce((sum, weight) => sum+weight, 0));
+    return {weights: weights, constraint: constraint, values: values};
+}
+
+function countSubsetsByBruteForce(line){
+    let amount = 0;
+    for(let mask=0; mask<(1 << line.weights.length); mask++){
+        let sum = 0;
+        let fitting = true;
+        for(let i=0; i<line.weights.length && fitting; i++){
+            let included = (mask & (1 << i)) !== 0;
+            fitting = line.values[i] === -1 || line.values[i] === (included ? 1 : 0);
+            sum += included ? line.weights[i] : 0;
+        }
+        if(fitting && sum === line.constraint){
+            amount++;
+        }
+    }
+    return amount;
+}
+
+function benchmarkLines(){
+    for(let i=0; i<LINE_LENGTHS.length; i++){
+        let length = LINE_LENGTHS[i];
+        let random = createRandom(length);
+        let lines = [];
+        for(let j=0; j<AMOUNT_LINES; j++){
+            lines.push(getRandomLine(random, length));
+        }
+        let name = AMOUNT_LINES+" lines of "+length+" cells";
+        KakurasuSubsetEngine.clearCache();
+        let expected = time(name+", every subset", () => lines.map(countSubsetsByBruteForce));
+        let counts = time(name+", countCompletions", () => lines.map(line =>
+            KakurasuSubsetEngine.countCompletions(line.weights, line.constraint, line.values)));
+        time(name+", analyseLine", () => lines.forEach(line =>
+            KakurasuSubsetEngine.analyseLine(line.weights, line.constraint, line.values)));
+        time(name+", analyseLine memoized", () => lines.forEach(line =>
+            KakurasuSubsetEngine.analyseLine(line.weights, line.constraint, line.values)));
+        if(counts.some((count, j) => count !== expected[j])){
+            throw new Error("countCompletions differs from the amount of subsets for "+name);
+        }
+    }
+}
+
+function benchmarkBoards(){
+    let states = time(AMOUNT_BOARDS+" boards "+BOARD_SIZE+"x"+BOARD_SIZE+", generate", () => {
+        let states = [];
+        for(let i=0; i<AMOUNT_BOARDS; i++){
+            states.push(KakurasuLevelGenerator.generateGame({rows: BOARD_SIZE, columns: BOARD_SIZE, seed: i+1}));
+        }
+        return states;
+    });
+    let solve = () => states.forEach(state => new KakurasuSolver(state).solve({limit: 2, maxNodes: 2000}));
+    KakurasuSubsetEngine.clearCache();
+    time(AMOUNT_BOARDS+" boards "+BOARD_SIZE+"x"+BOARD_SIZE+", solve", solve);
+    time(AMOUNT_BOARDS+" boards "+BOARD_SIZE+"x"+BOARD_SIZE+", solve memoized", solve);
+
+    let lines = () => states.forEach(state => {
+        let game = new Kakurasu(state);
+        for(let index=0; index<BOARD_SIZE; index++){
+            game.getPossibleWeightSolutionSetsForRowColumn(true, index, true);
+            game.getAllDefinitelySolutionWeightsForRowColumn(false, index, true);
+        }
+    });
+    KakurasuSubsetEngine.clearCache();
+    time(AMOUNT_BOARDS+" boards "+BOARD_SIZE+"x"+BOARD_SIZE+", line methods of the game", lines);
+}
+
+benchmarkLines();
+benchmarkBoards();
@@ -0,0 +1,368 @@
+#!/usr/bin/env node
+/**
+ * Command line interface for the Kakarasu game
+ * kakurasu generate [--rows n] [--columns n] [--difficulty easy|medium|hard] [--seed seed] [--weights scheme] [--output file]
+ * kakurasu play [file] [--rows n] [--columns n] [--difficulty easy|medium|hard] [--seed seed] [--weights scheme] [--assists list]
+ * kakurasu pack [--sizes 5,4x6] [--difficulties easy,medium] [--amount n] [--seed seed] [--name name] [--weights scheme] [--output file]
+ * kakurasu solve <file> [--limit n]
+ * kakurasu check <file>
+ */
+const fs = require("fs");
+const readline = require("readline");
+const {Kakurasu, KakurasuLevelGenerator, KakurasuSolver, KakurasuPackBuilder} = require("../src/index.js");
+
+const USAGE = [
+    "Usage: kakurasu <command> [options]",
+    "",
+    "Commands:",
+    "  generate [--rows n] [--columns n] [--difficulty easy|medium|hard] [--seed seed] [--weights scheme] [--output file]",
+    "                           generate a new game and output its state as json",
+    "  play [file] [--rows n] [--columns n] [--difficulty easy|medium|hard] [--seed seed] [--weights scheme] [--assists list]",
+    "                           play a saved or new game in the terminal",
+    "  pack [--sizes 5,4x6] [--difficulties easy,medium] [--amount n] [--seed seed] [--name name] [--weights scheme] [--output file]",
+    "                           generate a pack of n levels for every size and difficulty without duplicates",
+    "  solve <file> [--limit n] solve a saved game by its constraints",
+    "  check <file>             check a saved game for mistakes and if it is won",
+    "",
+    "Weight schemes: default, primes, powersOfTwo, reversed",
+    "Assists: comma separated list of autoFlag, autoComplete, markSatisfied, e.g. --assists autoFlag,autoComplete",
+].join("\n");
+
+const PLAY_HELP = [
+    "Commands (rows and columns start at 1):",
+    "  a <row> <column>  activate/clear a field",
+    "  f <row> <column>  flag/clear a field",
+    "  u                 undo the last move",
+    "  r                 redo the last undone move",
+    "  h                 show a hint",
+    "  c                 check for mistakes",
+    "  p                 print the board",
+    "  s <file>          save the game",
+    "  q                 quit",
+].join("\n");
+
+/**
+ * An error in the arguments, the usage is printed with it
+ */
+class UsageError extends Error {
+}
+
+/**
+ * Parses "--key value" options, all other arguments are positional
+ * @param args the command line arguments
+ * @returns {{positional: [], options: {}}}
+ * @throws UsageError if an option has no value
+ */
+function parseArguments(args){
+    let positional = [];
+    let options = {};
+    for(let i=0; i<args.length; i++){
+        let arg = args[i];
+        if(arg.startsWith("--")){
+            let value = args[i+1];
+            if(value === undefined || value.startsWith("--")){
+                throw new UsageError("The option "+arg+" needs a value");
+            }
+            options[arg.slice(2)] = value;
+            i++;
+        } else {
+            positional.push(arg);
+        }
+    }
+    return {positional: positional, options: options};
+}
+
+/**
+ * @param name the name of the option, e.g. "rows"
+ * @throws UsageError if the value of the option is not a positive integer
+ */
+function parsePositiveInteger(options, name){
+    let value = Number(options[name]);
+    if(!Number.isInteger(value) || value < 1){
+        throw new UsageError("The option --"+name+" has to be a positive integer, not "+options[name]);
+    }
+    return value;
+}
+
+function getGeneratorConfig(options){
+    let config = {};
+    if(options.rows !== undefined){
+        config.rows = parsePositiveInteger(options, "rows");
+    }
+    if(options.columns !== undefined){
+        config.columns = parsePositiveInteger(options, "columns");
+    }
+    if(options.difficulty !== undefined){
+        config.difficulty = options.difficulty;
+    }
+    if(options.weights !== undefined){
+        config.weights = options.weights;
+    }
+    if(options.seed !== undefined){
+        config.seed = isNaN(Number(options.seed)) ? options.seed : Number(options.seed);
+    }
+    return config;
+}
+
+function loadGame(file){
+    if(!file){
+        throw new Error("No game file given");
+    }
+    return new Kakurasu(JSON.parse(fs.readFileSync(file, "utf8")));
+}
+
+function saveGame(game, file){
+    fs.writeFileSync(file, JSON.stringify(game.asJSON(), null, 2));
+}
+
+function generate(positional, options){
+    let state = KakurasuLevelGenerator.generateGame(getGeneratorConfig(options));
+    let json = JSON.stringify(new Kakurasu(state).asJSON(), null, 2);
+    if(!!options.output){
+        fs.writeFileSync(options.output, json);
+    } else {
+        console.log(json);
+    }
+    return 0;
+}
+
+/**
+ * @param text "5" for a square size or "5x6" for 5 rows and 6 columns
+ * @throws UsageError if the size is not one or two positive integers
+ */
+function getSize(text){
+    let size = text.split("x").map(value => Number(value));
+    if(size.length > 2 || size.some(value => !Number.isInteger(value) || value < 1)){
+        throw new UsageError("The size "+text+" has to be <rows> or <rows>x<columns> with positive integers");
+    }
+    return {rows: size[0], columns: size.length > 1 ? size[1] : size[0]};
+}
+
+function pack(positional, options){
+    let packOptions = {};
+    if(options.sizes !== undefined){
+        packOptions.sizes = options.sizes.split(",").map(getSize);
+    }
+    if(options.difficulties !== undefined){
+        packOptions.difficulties = options.difficulties.split(",");
+    }
+    if(options.amount !== undefined){
+        packOptions.amount = parsePositiveInteger(options, "amount");
+    }
+    if(options.seed !== undefined){
+        packOptions.seed = isNaN(Number(options.seed)) ? options.seed : Number(options.seed);
+    }
+    if(options.name !== undefined){
+        packOptions.name = options.name;
+    }
+    if(options.weights !== undefined){
+        packOptions.weights = options.weights;
+    }
+    if(!!options.output){
+        packOptions.onPuzzle = (puzzle, amountPuzzles, totalPuzzles) => console.log(amountPuzzles+"/"+totalPuzzles+" "+puzzle.id);
+        let result = new KakurasuPackBuilder(packOptions).writeFile(options.output);
+        console.log("Pack written to "+options.output+", "+result.duplicates+" duplicate(s) dropped");
+    } else {
+        console.log(JSON.stringify(new KakurasuPackBuilder(packOptions).build(), null, 2));
+    }
+    return 0;
+}
+
+function printSolution(game, solution){
+    let copy = new Kakurasu(JSON.parse(JSON.stringify(game.asJSON())));
+    copy.resetGame();
+    for(let row=0; row<solution.length; row++){
+        for(let column=0; column<solution[row].length; column++){
+            if(solution[row][column]){
+                copy.setFieldActive(row, column);
+            }
+        }
+    }
+    console.log(copy.print());
+}
+
+function solve(positional, options){
+    let limit = options.limit !== undefined ? parsePositiveInteger(options, "limit") : undefined;
+    let game = loadGame(positional[0]);
+    let result = new KakurasuSolver(game).solve({limit: limit});
+    for(let i=0; i<result.solutions.length; i++){
+        console.log("Solution "+(i+1)+":");
+        printSolution(game, result.solutions[i]);
+        console.log("");
+    }
+    if(result.solutions.length === 0){
+        console.log("No solution found");
+    }
+    let searched = result.complete ? "all solutions found" : "search stopped at the limit";
+    console.log(result.solutions.length+" solution(s), "+searched+(result.unique ? ", unique" : ""));
+    console.log("Statistics: "+JSON.stringify(result.statistics));
+    return result.solutions.length > 0 ? 0 : 1;
+}
+
+function printConflicts(game){
+    let conflicts = game.getConflicts();
+    for(let i=0; i<conflicts.lines.length; i++){
+        let line = conflicts.lines[i];
+        let name = (line.forRow ? "row " : "column ")+(line.index+1);
+        console.log(name+": "+line.activeSum+" of "+line.constraint+" ("+line.reason+")");
+    }
+    for(let i=0; i<conflicts.fields.length; i++){
+        let field = conflicts.fields[i];
+        console.log("row "+(field.row+1)+", column "+(field.column+1)+": "+field.reason);
+    }
+    return conflicts.lines.length+conflicts.fields.length;
+}
+
+function check(positional, options){
+    let game = loadGame(positional[0]);
+    console.log(game.print());
+    let amountConflicts = printConflicts(game);
+    if(game.isGameWon()){
+        console.log("Game is won");
+        return 0;
+    }
+    console.log(amountConflicts === 0 ? "No mistakes found, game is not won yet" : amountConflicts+" mistake(s) found");
+    return amountConflicts === 0 ? 0 : 1;
+}
+
+/**
+ * Applies one command of the interactive session
+ * @returns {boolean} if the session should end
+ */
+function playCommand(game, line){
+    let parts = line.trim().split(/\s+/);
+    let command = parts[0];
+    let row = parseInt(parts[1])-1;
+    let column = parseInt(parts[2])-1;
+    let isValidField = row >= 0 && row < game.getAmountRows() && column >= 0 && column < game.getAmountColumns();
+    switch(command){
+        case "a":
+        case "f": {
+            if(!isValidField){
+                console.log("Unknown field, use "+command+" <row> <column>");
+                return false;
+            }
+            let changed = command === "a" ? game.changeActiveStatus(row, column) : game.changeFlagStatus(row, column);
+            if(!changed){
+                console.log("Field can not be changed");
+            }
+            break;
+        }
+        case "u":
+            if(!game.undoMove()){
+                console.log("Nothing to undo");
+            }
+            break;
+        case "r":
+            if(!game.redoMove()){
+                console.log("Nothing to redo");
+            }
+            break;
+        case "h": {
+            let hint = game.getHint();
+            console.log(!!hint ? hint.action+" row "+(hint.row+1)+", column "+(hint.column+1)+": "+hint.explanation.text : "No hint found");
+            return false;
+        }
+        case "c":
+            if(printConflicts(game) === 0){
+                console.log("No mistakes found");
+            }
+            return false;
+        case "s":
+            if(!parts[1]){
+                console.log("Use s <file>");
+                return false;
+            }
+            try {
+                saveGame(game, parts[1]);
+                console.log("Saved to "+parts[1]);
+            } catch(error){
+                console.log("Could not save the game: "+error.message);
+            }
+            return false;
+        case "p":
+            break;
+        case "q":
+            return true;
+        case "":
+            return false;
+        default:
+            console.log(PLAY_HELP);
+            return false;
+    }
+    console.log(game.print());
+    if(game.isGameWon()){
+        let statistics = game.getStatistics();
+        console.log("Solved in "+game.getAmountMoves()+" moves and "+Math.round(statistics.elapsedTime/1000)+" seconds, score "+statistics.score+"!");
+        return true;
+    }
+    return false;
+}
+
+/**
+ * Enables only the given assists, e.g. "autoFlag,autoComplete"
+ * @throws UsageError if an assist is unknown
+ */
+function setAssists(game, text){
+    let assists = {autoFlag: false, autoComplete: false, markSatisfied: false};
+    let names = text.split(",").filter(name => name.length > 0);
+    for(let i=0; i<names.length; i++){
+        if(assists[names[i]] === undefined){
+            throw new UsageError("Unknown assist "+names[i]+", use "+Object.keys(assists).join(", "));
+        }
+        assists[names[i]] = true;
+    }
+    game.setAssists(assists);
+}
+
+function play(positional, options){
+    let game = !!positional[0] ? loadGame(positional[0]) : new Kakurasu(KakurasuLevelGenerator.generateGame(getGeneratorConfig(options)));
+    if(options.assists !== undefined){
+        setAssists(game, options.assists);
+    }
+    console.log(PLAY_HELP);
+    console.log("");
+    console.log(game.print());
+    let session = readline.createInterface({input: process.stdin, output: process.stdout, prompt: "> "});
+    session.prompt();
+    session.on("line", line => {
+        if(playCommand(game, line)){
+            session.close();
+        } else {
+            session.prompt();
+        }
+    });
+    return null;
+}
+
+const COMMANDS = {
+    generate: generate,
+    play: play,
+    pack: pack,
+    solve: solve,
+    check: check
+};
+
+function main(args){
+    let command = COMMANDS[args[0]];
+    if(!command){
+        console.log(USAGE);
+        return args[0] === "help" || args[0] === undefined ? 0 : 1;
+    }
+    try {
+        let parsedArguments = parseArguments(args.slice(1));
+        return command(parsedArguments.positional, parsedArguments.options);
+    } catch(error){
+        console.error(error.message);
+        if(error instanceof UsageError){
+            console.error("");
+            console.error(USAGE);
+        }
+        return 1;
+    }
+}
+
+let exitCode = main(process.argv.slice(2));
+if(exitCode !== null){
+    process.exitCode = exitCode;
+}
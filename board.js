@@ -0,0 +1,4 @@
+/**
+ * The React board as own entry, so the game can be used without react: require("kakurasu/board")
+ */
+module.exports = require("./lib/board.js");
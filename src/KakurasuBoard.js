@@ -0,0 +1,377 @@
+/**
+ * React component to play a Kakarasu game. The weights are shown above and left of the grid, the constraints right
+ * and below of it. Left click activates a field, right click or a long press flags it.
+ * With the keyboard the arrow keys move the cursor, space activates and x flags the field, ctrl+z and ctrl+y undo and
+ * redo moves. The progress of the changed row and column is announced for screen readers.
+ */
+const React = require("react");
+const PropTypes = require("prop-types");
+const kakurasu = require("./index");
+
+const LONG_PRESS_DELAY = 500;
+
+const STYLE_BOARD = {
+    display: "inline-block",
+    fontFamily: "sans-serif",
+    userSelect: "none"
+};
+const STYLE_GRID = {
+    borderCollapse: "collapse"
+};
+const STYLE_HEADER = {
+    width: "2em",
+    height: "2em",
+    textAlign: "center",
+    color: "#888888",
+    fontWeight: "normal"
+};
+const STYLE_FIELD = {
+    width: "2em",
+    height: "2em",
+    textAlign: "center",
+    border: "1px solid #444444",
+    cursor: "pointer"
+};
+const STYLE_FIELD_ACTIVE = {
+    backgroundColor: "#444444",
+    color: "#ffffff"
+};
+const STYLE_FIELD_CURSOR = {
+    outline: "2px solid #1976d2",
+    outlineOffset: "-3px"
+};
+const STYLE_FIELD_READ_ONLY = {
+    cursor: "default",
+    opacity: 0.7
+};
+const STYLE_CONSTRAINT = {
+    width: "2em",
+    height: "2em",
+    textAlign: "center",
+    fontWeight: "bold"
+};
+const STYLE_CONSTRAINT_SATISFIED = {
+    color: "#2e7d32",
+    backgroundColor: "#e8f5e9"
+};
+const STYLE_SCREEN_READER_ONLY = {
+    position: "absolute",
+    width: "1px",
+    height: "1px",
+    overflow: "hidden",
+    clip: "rect(0 0 0 0)",
+    whiteSpace: "nowrap"
+};
+
+const CURSOR_MOVES = {
+    ArrowUp: {row: -1, column: 0},
+    ArrowDown: {row: 1, column: 0},
+    ArrowLeft: {row: 0, column: -1},
+    ArrowRight: {row: 0, column: 1}
+};
+
+class KakurasuBoard extends React.Component {
+
+    /**
+     * Constructor of the board
+     * @param props {[game: Kakurasu instance], [value: asJSON snapshot for a controlled board],
+     * [defaultValue: asJSON snapshot to start an uncontrolled board], [onChange: function(snapshot, game)],
+     * [longPressDelay: milliseconds until a touch flags a field]}
+     */
+    constructor(props) {
+        super(props);
+        this.state = {
+            game: null,
+            amountChanges: 0,
+            cursorRow: 0,
+            cursorColumn: 0,
+            announcement: ""
+        };
+        if(!props.game && !props.value){
+            this.state.game = new kakurasu.Kakurasu(KakurasuBoard._copySnapshot(props.defaultValue || {}));
+        }
+        this.longPressTimeout = null;
+        this.longPressed = false;
+        this.fieldElements = {};
+        this.handleUndo = this.handleUndo.bind(this);
+        this.handleRedo = this.handleRedo.bind(this);
+        this.handleKeyDown = this.handleKeyDown.bind(this);
+    }
+
+    componentWillUnmount(){
+        this._clearLongPress();
+    }
+
+    /**
+     * A controlled board never changes its value itself, the changes are only given to onChange
+     * @returns {*} the game to show
+     */
+    getGame(){
+        if(!!this.props.value){
+            if(this.loadedValue !== this.props.value){
+                this.loadedValue = this.props.value;
+                this.loadedGame = new kakurasu.Kakurasu(KakurasuBoard._copySnapshot(this.props.value));
+            }
+            return this.loadedGame;
+        }
+        return this.props.game || this.state.game;
+    }
+
+    static _copySnapshot(snapshot){
+        return JSON.parse(JSON.stringify(snapshot));
+    }
+
+    /**
+     * @param change function(game) returning if the game was changed
+     * @param changedField [optional] the field to announce, default the field of the current move after the change
+     */
+    _changeGame(change, changedField){
+        let game = this.getGame();
+        if(!!this.props.value){
+            game = new kakurasu.Kakurasu(KakurasuBoard._copySnapshot(this.props.value));
+        }
+        let changed = change(game);
+        if(changed){
+            this.setState({
+                amountChanges: this.state.amountChanges+1,
+                announcement: KakurasuBoard._getAnnouncement(game, changedField || game.getFieldOfCurrentMove())
+            });
+            if(!!this.props.onChange){
+                this.props.onChange(game.asJSON(), game);
+            }
+        }
+        return changed;
+    }
+
+    handleClick(row, column){
+        if(this.longPressed){
+            this.longPressed = false;
+            return;
+        }
+        this._changeGame(game => game.changeActiveStatus(row, column));
+    }
+
+    handleContextMenu(event, row, column){
+        event.preventDefault();
+        this._changeGame(game => game.changeFlagStatus(row, column));
+    }
+
+    handleTouchStart(row, column){
+        this._clearLongPress();
+        this.longPressed = false;
+        this.longPressTimeout = setTimeout(() => {
+            this.longPressTimeout = null;
+            this.longPressed = true;
+            this._changeGame(game => game.changeFlagStatus(row, column));
+        }, this.props.longPressDelay);
+    }
+
+    handleTouchEnd(event){
+        this._clearLongPress();
+        if(this.longPressed){
+            event.preventDefault();
+        }
+    }
+
+    _clearLongPress(){
+        if(this.longPressTimeout !== null){
+            clearTimeout(this.longPressTimeout);
+            this.longPressTimeout = null;
+        }
+    }
+
+    /**
+     * Announces the progress of the row and column of the last changed field, e.g. "row 2: 5 of 9"
+     */
+    static _getAnnouncement(game, field){
+        if(game.isGameWon()){
+            return "solved";
+        }
+        if(!field){
+            return "";
+        }
+        let row = field.row;
+        let column = field.column;
+        return "row "+(row+1)+": "+game.getSumValueForRow(row)+" of "+game.getConstraintValueForRow(row)+", "+
+            "column "+(column+1)+": "+game.getSumValueForColumn(column)+" of "+game.getConstraintValueForColumn(column);
+    }
+
+    handleKeyDown(event){
+        let row = this.state.cursorRow;
+        let column = this.state.cursorColumn;
+        let key = event.key;
+        let withControl = event.ctrlKey || event.metaKey;
+        let handled = true;
+        if(!!CURSOR_MOVES[key]){
+            this.moveCursor(row+CURSOR_MOVES[key].row, column+CURSOR_MOVES[key].column);
+        } else if(key === " " || key === "Enter"){
+            this._changeGame(game => game.changeActiveStatus(row, column));
+        } else if(key === "x" && !withControl){
+            this._changeGame(game => game.changeFlagStatus(row, column));
+        } else if((key === "z" || key === "Z") && withControl && !event.shiftKey){
+            this.handleUndo();
+        } else if(((key === "z" || key === "Z") && withControl && event.shiftKey) || (key === "y" && withControl)){
+            this.handleRedo();
+        } else {
+            handled = false;
+        }
+        if(handled){
+            event.preventDefault();
+        }
+    }
+
+    moveCursor(row, column){
+        let game = this.getGame();
+        row = Math.max(0, Math.min(game.getAmountRows()-1, row));
+        column = Math.max(0, Math.min(game.getAmountColumns()-1, column));
+        this.setState({cursorRow: row, cursorColumn: column}, () => {
+            let element = this.fieldElements[row+"-"+column];
+            if(!!element && !!element.focus){
+                element.focus();
+            }
+        });
+    }
+
+    handleUndo(){
+        let undoneField = this.getGame().getFieldOfCurrentMove();
+        this._changeGame(game => game.undoMove(), undoneField);
+    }
+
+    handleRedo(){
+        this._changeGame(game => game.redoMove());
+    }
+
+    renderField(game, row, column){
+        let field = game.getField(row, column);
+        let style = STYLE_FIELD;
+        let icon = "";
+        let className = "kakurasu-field";
+        let statusLabel = "clear";
+        let hasCursor = row === this.state.cursorRow && column === this.state.cursorColumn;
+        if(field.isActive()){
+            style = {...style, ...STYLE_FIELD_ACTIVE};
+            className += " kakurasu-field-active";
+            statusLabel = "active";
+        }
+        if(field.isFlagged()){
+            icon = "x";
+            className += " kakurasu-field-flagged";
+            statusLabel = "flagged";
+        }
+        if(field.isReadOnly()){
+            style = {...style, ...STYLE_FIELD_READ_ONLY};
+            className += " kakurasu-field-read-only";
+        }
+        if(hasCursor){
+            style = {...style, ...STYLE_FIELD_CURSOR};
+            className += " kakurasu-field-cursor";
+        }
+        let label = "row "+(row+1)+", column "+(column+1)+", "+statusLabel;
+        return (
+            <td key={column}
+                ref={element => this.fieldElements[row+"-"+column] = element}
+                role="gridcell"
+                tabIndex={hasCursor ? 0 : -1}
+                aria-label={label}
+                aria-readonly={field.isReadOnly()}
+                className={className}
+                style={style}
+                onFocus={() => this._setCursor(row, column)}
+                onClick={() => this.handleClick(row, column)}
+                onContextMenu={(event) => this.handleContextMenu(event, row, column)}
+                onTouchStart={() => this.handleTouchStart(row, column)}
+                onTouchEnd={(event) => this.handleTouchEnd(event)}
+                onTouchMove={() => this._clearLongPress()}>
+                {icon}
+            </td>
+        );
+    }
+
+    _setCursor(row, column){
+        if(row !== this.state.cursorRow || column !== this.state.cursorColumn){
+            this.setState({cursorRow: row, cursorColumn: column});
+        }
+    }
+
+    renderConstraint(key, value, satisfied, label){
+        let style = satisfied ? {...STYLE_CONSTRAINT, ...STYLE_CONSTRAINT_SATISFIED} : STYLE_CONSTRAINT;
+        let className = "kakurasu-constraint"+(satisfied ? " kakurasu-constraint-satisfied" : "");
+        return (
+            <td key={key} role="gridcell" className={className} style={style}
+                aria-label={label+" needs "+value+(satisfied ? ", satisfied" : "")}>
+                {value}
+            </td>
+        );
+    }
+
+    renderRow(game, row){
+        let fields = [];
+        for(let column=0; column<game.getAmountColumns(); column++){
+            fields.push(this.renderField(game, row, column));
+        }
+        return (
+            <tr key={row} role="row">
+                <th role="rowheader" className="kakurasu-weight" style={STYLE_HEADER}>{game.getRowWeight(row)}</th>
+                {fields}
+                {this.renderConstraint("constraint", game.getConstraintValueForRow(row), game.isRowMarkedSatisfied(row), "row "+(row+1))}
+            </tr>
+        );
+    }
+
+    render(){
+        let game = this.getGame();
+        let weights = [];
+        let columnConstraints = [];
+        let rows = [];
+        for(let column=0; column<game.getAmountColumns(); column++){
+            weights.push(<th key={column} role="columnheader" className="kakurasu-weight" style={STYLE_HEADER}>{game.getColumnWeight(column)}</th>);
+            columnConstraints.push(this.renderConstraint(column, game.getConstraintValueForColumn(column), game.isColumnMarkedSatisfied(column), "column "+(column+1)));
+        }
+        for(let row=0; row<game.getAmountRows(); row++){
+            rows.push(this.renderRow(game, row));
+        }
+
+        let className = "kakurasu-board"+(game.isGameWon() ? " kakurasu-board-won" : "");
+        return (
+            <div className={className} style={STYLE_BOARD}>
+                <table className="kakurasu-grid" style={STYLE_GRID} role="grid" aria-label="Kakurasu"
+                       onKeyDown={this.handleKeyDown}>
+                    <thead>
+                        <tr role="row">
+                            <td role="columnheader" aria-label="weight" style={STYLE_HEADER}/>
+                            {weights}
+                            <td role="columnheader" aria-label="constraint" style={STYLE_HEADER}/>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {rows}
+                        <tr role="row">
+                            <td role="rowheader" aria-label="constraint" style={STYLE_HEADER}/>
+                            {columnConstraints}
+                            <td role="gridcell" style={STYLE_HEADER}/>
+                        </tr>
+                    </tbody>
+                </table>
+                <div role="status" aria-live="polite" style={STYLE_SCREEN_READER_ONLY}>{this.state.announcement}</div>
+                <div className="kakurasu-controls">
+                    <button type="button" onClick={this.handleUndo} disabled={!game.isPossibleToUndoMove()}>Undo</button>
+                    <button type="button" onClick={this.handleRedo} disabled={!game.isPossibleToRedoMove()}>Redo</button>
+                </div>
+            </div>
+        );
+    }
+}
+
+KakurasuBoard.propTypes = {
+    game: PropTypes.object,
+    value: PropTypes.object,
+    defaultValue: PropTypes.object,
+    onChange: PropTypes.func,
+    longPressDelay: PropTypes.number
+};
+
+KakurasuBoard.defaultProps = {
+    longPressDelay: LONG_PRESS_DELAY
+};
+
+module.exports = KakurasuBoard;
@@ -3,6 +3,8 @@
  * constraint all activ cells in the specific row/column are summed up. The game is won, when all row and column
  * constraints are satisfied.
  */
+const fs = require("fs");
+
 const _FIELD_KEY_SEPERATOR = "-";
 const STATUS_CLEAR = 0;
 const STATUS_ACTIVE = 1;
@@ -11,6 +13,153 @@ const STATUS_FLAGGED = 2;
 const CLEANVALUE_MOVEHISTORY = [];
 const CLEANVALUE_CURRENTMOVEINDEX = null;
 
+const EVENT_MOVE = "move";
+const EVENT_UNDO = "undo";
+const EVENT_REDO = "redo";
+const EVENT_RESET = "reset";
+const EVENT_LINE_SATISFIED = "lineSatisfied";
+const EVENT_WON = "won";
+const EVENTS = [EVENT_MOVE, EVENT_UNDO, EVENT_REDO, EVENT_RESET, EVENT_LINE_SATISFIED, EVENT_WON];
+
+const SCORE_PER_FIELD = 100;
+const SCORE_PENALTY_PER_SECOND = 1;
+const SCORE_PENALTY_PER_HINT = 50;
+const SCORE_PENALTY_PER_MISTAKE = 25;
+const SCORE_PENALTY_PER_UNDO = 5;
+
+const SOLVER_CELL_UNKNOWN = -1;
+const SOLVER_CELL_EMPTY = 0;
+const SOLVER_CELL_ACTIVE = 1;
+const SOLVER_DEFAULT_LIMIT = 2;
+
+const SUBSET_ENGINE_CACHE = new Map();
+const SUBSET_ENGINE_MAX_CACHE_SIZE = 20000;
+
+const TECHNIQUE_SINGLE_LINE = "singleLine";
+const TECHNIQUE_INTERSECTION = "intersection";
+const TECHNIQUE_TRIAL_AND_ERROR = "trialAndError";
+const GRADER_TECHNIQUES = [TECHNIQUE_SINGLE_LINE, TECHNIQUE_INTERSECTION, TECHNIQUE_TRIAL_AND_ERROR];
+const GRADER_TECHNIQUE_SCORES = [1, 5, 25];
+const GRADER_DIFFICULTIES = ["easy", "medium", "hard"];
+const GRADER_INTERSECTION_WAVES = 3;
+// smaller levels are always solved by easier techniques, e.g. every unique 4x4 level is easy
+const GRADER_MINIMUM_FIELDS = {easy: 1, medium: 25, hard: 48};
+
+const HINT_ACTION_ACTIVATE = "activate";
+const HINT_ACTION_FLAG = "flag";
+const HINT_MAX_LISTED_SUBSETS = 10;
+
+const CONFLICT_EXCEEDED = "exceeded";
+const CONFLICT_NOT_REACHABLE = "notReachable";
+const CONFLICT_ACTIVE_NOT_IN_SOLUTION = "activeNotInSolution";
+const CONFLICT_FLAGGED_IN_SOLUTION = "flaggedInSolution";
+const CONFLICT_SOLUTION_LIMIT = 100;
+const CONFLICT_MAX_SOLVER_NODES = 5000;
+
+const ASSIST_AUTO_FLAG = "autoFlag";
+const ASSIST_AUTO_COMPLETE = "autoComplete";
+const ASSIST_MARK_SATISFIED = "markSatisfied";
+const ASSISTS = [ASSIST_AUTO_FLAG, ASSIST_AUTO_COMPLETE, ASSIST_MARK_SATISFIED];
+const ASSIST_MOVE_TYPES = [ASSIST_AUTO_COMPLETE, ASSIST_AUTO_FLAG];
+const ASSIST_DEFAULTS = {autoFlag: false, autoComplete: false, markSatisfied: true};
+
+const SAVE_FORMAT_VERSION = 2;
+const SAVE_FORMAT_FIELD_KEY = /^(\d+)-(\d+)$/;
+// the subset engine needs memory for every sum up to the constraint of a line
+const SAVE_FORMAT_MAX_WEIGHT = 1000;
+const SAVE_FORMAT_MAX_CONSTRAINT = 1000000;
+
+const SHARE_CODE_PREFIX = "k1";
+const SHARE_CODE_SEPERATOR = ".";
+const SHARE_CODE_LIST_SEPERATOR = "-";
+const SHARE_CODE_SIZE_SEPERATOR = "x";
+const SHARE_CODE_SIZE = /^(\d+)x(\d+)$/;
+const SHARE_CODE_NUMBER = /^[0-9a-z]+$/;
+const SHARE_CODE_PART_GIVENS = "g";
+const SHARE_CODE_PART_WEIGHTS = "w";
+const SHARE_CODE_WEIGHTS_SEPERATOR = "_";
+const SHARE_CODE_PART_SEED = "s";
+const SHARE_CODE_PART_TEXT_SEED = "t";
+const SHARE_CODE_PART_CONFIG = "c";
+const SHARE_CODE_CONFIG_KEYS = ["difficulty", "unique", "maxAttempts", "amountMinimumInRow", "amountMaximumInRow",
+    "amountMinimumInColumn", "amountMaximumInColumn"];
+const SHARE_CODE_PART_PROGRESS = "p";
+const SHARE_CODE_RADIX = 36;
+const SHARE_CODE_AMOUNT_STATUSES = 3;
+const SHARE_CODE_STATUSES_PER_CHARACTER = 3;
+const SHARE_CODE_MAX_SIZE = 50;
+const SHARE_CODE_URL_PARAMETER = "puzzle";
+const SHARE_CODE_URL_PARAMETER_PATTERN = /[?&#]puzzle=([0-9a-z.x_-]+)/;
+
+const FORMAT_MAX_SIZE = 50;
+const FORMAT_ICON_ACTIVE = "A";
+const FORMAT_ICON_FLAGGED = "x";
+const FORMAT_NUMBER = /^\d+$/;
+const TEXT_FORMAT_CELL_SEPERATOR = "|";
+const TEXT_FORMAT_BORDER_LINE = /^\s*-[-+]*\s*$/;
+const CSV_FORMAT_DEFAULT_DELIMITER = ",";
+const CSV_FORMAT_TAB_DELIMITER = "\t";
+const URL_FORMAT_DEFAULT_BASE_URL = "https://puzz.link/p";
+const URL_FORMAT_TYPE = "kakurasu";
+const URL_FORMAT_SEPERATOR = "/";
+const URL_FORMAT_RADIX = 16;
+const URL_FORMAT_DIGITS = /^[0-9a-f]+$/;
+const URL_FORMAT_PREFIX_TWO_DIGITS = "-";
+const URL_FORMAT_PREFIX_THREE_DIGITS = "+";
+
+const SVG_MODE_PUZZLE = "puzzle";
+const SVG_MODE_PROGRESS = "progress";
+const SVG_MODE_SOLUTION = "solution";
+const SVG_MODES = [SVG_MODE_PUZZLE, SVG_MODE_PROGRESS, SVG_MODE_SOLUTION];
+const SVG_DEFAULT_CELL_SIZE = 40;
+const SVG_DEFAULT_THEME = "light";
+const SVG_THEMES = {
+    light: {background: "#ffffff", grid: "#444444", active: "#444444", flag: "#888888", given: "#9e9e9e",
+        weight: "#888888", constraint: "#000000", satisfied: "#2e7d32"},
+    dark: {background: "#212121", grid: "#bdbdbd", active: "#e0e0e0", flag: "#9e9e9e", given: "#757575",
+        weight: "#9e9e9e", constraint: "#ffffff", satisfied: "#81c784"},
+    print: {background: "none", grid: "#000000", active: "#000000", flag: "#000000", given: "#808080",
+        weight: "#000000", constraint: "#000000", satisfied: "#000000"}
+};
+const SVG_FONT_FAMILY = "sans-serif";
+const SVG_PAGE_SIZES = {a4: {width: 210, height: 297}, a5: {width: 148, height: 210}, letter: {width: 215.9, height: 279.4}};
+const SVG_SHEET_DEFAULT_PAGE_SIZE = "a4";
+const SVG_SHEET_DEFAULT_COLUMNS = 2;
+const SVG_SHEET_DEFAULT_ROWS = 3;
+const SVG_SHEET_MARGIN = 15;
+const SVG_SHEET_SPACING = 8;
+const SVG_SHEET_TITLE_SIZE = 5;
+
+const REPLAY_DEFAULT_DELAY = 500;
+const REPLAY_MAX_DELAY = 3000;
+
+const PROFILE_VERSION = 1;
+const PROFILE_DEFAULT_NAME = "default";
+const PROFILE_STORAGE_KEY_PREFIX = "kakurasu-profile-";
+const PROFILE_MAX_GAMES = 100;
+const PROFILE_DEFAULT_LEADERBOARD_LIMIT = 10;
+const PROFILE_DAY_LENGTH = 24*60*60*1000;
+
+const WEIGHT_SCHEME_DEFAULT = "default";
+const WEIGHT_SCHEME_PRIMES = "primes";
+const WEIGHT_SCHEME_POWERS_OF_TWO = "powersOfTwo";
+const WEIGHT_SCHEME_REVERSED = "reversed";
+const WEIGHT_SCHEMES = [WEIGHT_SCHEME_DEFAULT, WEIGHT_SCHEME_PRIMES, WEIGHT_SCHEME_POWERS_OF_TWO, WEIGHT_SCHEME_REVERSED];
+
+const PACK_VERSION = 1;
+const PACK_DEFAULT_AMOUNT = 10;
+const PACK_DEFAULT_SIZES = [5];
+const PACK_DIFFICULTY_ANY = "any";
+const PACK_MAX_ATTEMPTS_PER_PUZZLE = 10;
+const PACK_DEFAULT_PAGE_SIZE = 20;
+
+const GENERATOR_DEFAULT_SIZE = 5;
+const GENERATOR_DEFAULT_MAX_ATTEMPTS = 100;
+const GENERATOR_DEFAULT_MAX_ATTEMPTS_WITH_DIFFICULTY = 1000;
+const GENERATOR_MAX_SOLVER_NODES = 2000;
+const GENERATOR_MAX_TOTAL_SOLVER_NODES = 20000;
+const GENERATOR_MAX_SEED = 4294967295;
+
 
 class Kakurasu {
 
@@ -18,17 +167,38 @@ class Kakurasu {
      * Constructor of a new game
      * @param state json state of a game to load
      * use to asJSON method to export/save a game
+     * without fields a new level is generated, by the generator config if given {generator: {config: config}}
+     * states of older versions are migrated, invalid states throw a KakurasuStateError (see KakurasuSaveFormat)
      */
     constructor(state = {}) {
-        this.state = {};
-        this.state.moveHistory = state.moveHistory || CLEANVALUE_MOVEHISTORY;
-        this.state.currentMoveIndex = state.currentMoveIndex || CLEANVALUE_CURRENTMOVEINDEX;
-        if(!this.state.currentMoveIndex && this.state.moveHistory.length > 0){
-            this.state.currentMoveIndex = this.state.moveHistory.length-1;
+        if(!state.fields) {
+            let generatorConfig = !!state.generator ? state.generator.config : undefined;
+            let generatedState = KakurasuLevelGenerator.generateGame(generatorConfig);
+            state.fields = generatedState.fields;
+            state.generator = generatedState.generator;
+            if(!!generatedState.weights){
+                state.weights = generatedState.weights;
+            }
         }
+        state = KakurasuSaveFormat.load(state);
 
-        if(!state.fields) {
-            state.fields = KakurasuLevelGenerator.generateLevel();
+        this.state = {};
+        this.state.version = state.version;
+        this.state.moveHistory = state.moveHistory;
+        this.state.currentMoveIndex = state.currentMoveIndex;
+        this.state.moveTree = state.moveTree;
+        this.state.statistics = state.statistics;
+        if(!!state.generator){
+            this.state.generator = state.generator;
+        }
+        if(!!state.constraints){
+            this.state.constraints = state.constraints;
+        }
+        if(!!state.weights){
+            this.state.weights = state.weights;
+        }
+        if(!!state.assists){
+            this.state.assists = state.assists;
         }
         this.state.fields = {};
         let fieldKeys = Object.keys(state.fields);
@@ -37,9 +207,384 @@ class Kakurasu {
             let fieldJSON = state.fields[fieldKey];
             this.state.fields[fieldKey] = new KakurasuField(fieldJSON);
         }
+        this.listeners = {};
+        this.timerStartTime = this.state.statistics.paused ? null : Date.now();
         this._loadFieldMetaInformations();
     }
 
+    static _getCleanStatistics(){
+        return {elapsedTime: 0, paused: false, moves: 0, assistedMoves: 0, hints: 0, undos: 0, mistakes: 0, score: null};
+    }
+
+    /**
+     * Get the statistics of the game
+     * @returns {{elapsedTime: number, paused: boolean, moves: number, assistedMoves: number, hints: number, undos: number,
+     * mistakes: number, score: null|number}} elapsedTime in milliseconds, moves counts all moves of the player including
+     * undone moves, assistedMoves the moves made by assists, mistakes counts the moves of the player which contradict
+     * the solution, score is given when the game is won
+     */
+    getStatistics(){
+        let statistics = JSON.parse(JSON.stringify(this.state.statistics));
+        statistics.elapsedTime = this.getElapsedTime();
+        return statistics;
+    }
+
+    /**
+     * Get the time played, without the time the timer was paused
+     * @returns {number} milliseconds
+     */
+    getElapsedTime(){
+        let runningTime = this.timerStartTime !== null ? Date.now()-this.timerStartTime : 0;
+        return this.state.statistics.elapsedTime+runningTime;
+    }
+
+    /**
+     * Pauses the timer, e.g. when the game is not visible. The timer is paused automatically when the game is won.
+     * @returns {boolean} if the timer was running
+     */
+    pauseTimer(){
+        if(this.state.statistics.paused){
+            return false;
+        }
+        this.state.statistics.elapsedTime = this.getElapsedTime();
+        this.state.statistics.paused = true;
+        this.timerStartTime = null;
+        return true;
+    }
+
+    /**
+     * Resumes the timer, a move also resumes the timer of a game which is not won
+     * @returns {boolean} if the timer was paused
+     */
+    resumeTimer(){
+        if(!this.state.statistics.paused){
+            return false;
+        }
+        this.state.statistics.paused = false;
+        this.timerStartTime = Date.now();
+        return true;
+    }
+
+    /**
+     * Checks if the timer is paused
+     * @returns {boolean}
+     */
+    isTimerPaused(){
+        return this.state.statistics.paused;
+    }
+
+    /**
+     * The score starts with points for every field, the time, hints, mistakes and undos reduce it
+     */
+    _calculateScore(){
+        let statistics = this.state.statistics;
+        let amountFields = this.getAmountRows()*this.getAmountColumns();
+        let score = amountFields*SCORE_PER_FIELD
+            -Math.floor(this.getElapsedTime()/1000)*SCORE_PENALTY_PER_SECOND
+            -statistics.hints*SCORE_PENALTY_PER_HINT
+            -statistics.mistakes*SCORE_PENALTY_PER_MISTAKE
+            -statistics.undos*SCORE_PENALTY_PER_UNDO;
+        return Math.max(0, score);
+    }
+
+    /**
+     * A move contradicts the solution if it activates a field which is not part of the solution or flags a field
+     * of the solution
+     * @param move the move
+     * @param solution solution[row][column] see _getPredefinedSolution
+     */
+    static _isMoveContradictingSolution(move, solution){
+        if(Kakurasu._isBatchMove(move)){
+            return move.moves.some(batchMove => Kakurasu._isMoveContradictingSolution(batchMove, solution));
+        }
+        let isSolution = solution[move.row][move.column];
+        return (move.nextStatus === STATUS_ACTIVE && !isSolution) || (move.nextStatus === STATUS_FLAGGED && isSolution);
+    }
+
+    /**
+     * Enables or disables assists, assists which are not given stay unchanged:
+     * autoFlag: after a move of the player the remaining fields of a satisfied row or column are flagged
+     * autoComplete: after a move of the player fields which are forced to be active by the line logic are activated
+     * markSatisfied: satisfied rows and columns are marked, see isRowMarkedSatisfied
+     * autoFlag and autoComplete are added as own moves to the move history, so they can be undone
+     * @param assists {[autoFlag: boolean, default false], [autoComplete: boolean, default false], [markSatisfied:
+     * boolean, default true]}
+     * @throws Error for unknown assists and values which are not booleans
+     */
+    setAssists(assists){
+        let assistKeys = Object.keys(assists);
+        for(let i=0; i<assistKeys.length; i++){
+            if(ASSISTS.indexOf(assistKeys[i]) < 0){
+                throw new Error("Unknown assist "+assistKeys[i]+", use one of "+ASSISTS.join(", "));
+            }
+            if(typeof assists[assistKeys[i]] !== "boolean"){
+                throw new Error("The assist "+assistKeys[i]+" has to be a boolean");
+            }
+        }
+        this.state.assists = Object.assign(this.getAssists(), assists);
+    }
+
+    /**
+     * Get the enabled assists
+     * @returns {{autoFlag: boolean, autoComplete: boolean, markSatisfied: boolean}}
+     */
+    getAssists(){
+        return Object.assign({}, ASSIST_DEFAULTS, this.state.assists);
+    }
+
+    /**
+     * Checks if a row is marked as satisfied, only with the assist markSatisfied
+     * @param row the index of the row
+     * @returns {boolean}
+     */
+    isRowMarkedSatisfied(row){
+        return this.getAssists().markSatisfied && this.isRowConstraintSatisfied(row);
+    }
+
+    /**
+     * Checks if a column is marked as satisfied, only with the assist markSatisfied
+     * @param column the index of the column
+     * @returns {boolean}
+     */
+    isColumnMarkedSatisfied(column){
+        return this.getAssists().markSatisfied && this.isColumnConstraintSatisfied(column);
+    }
+
+    /**
+     * Applies the enabled assists after a move of the player, every assist is made as its own batch move
+     * @param changes the changes of the move of the player
+     */
+    _applyAssists(changes){
+        let assists = this.getAssists();
+        if(!assists.autoFlag && !assists.autoComplete){
+            return;
+        }
+        let assistChanges = this._getAssistChanges(changes, assists);
+        for(let i=0; i<ASSIST_MOVE_TYPES.length; i++){
+            let assist = ASSIST_MOVE_TYPES[i];
+            if(assistChanges[assist].length === 0){
+                continue;
+            }
+            let moves = assistChanges[assist].map(change => {
+                return {row: change.row, column: change.column, previousStatus: STATUS_CLEAR, nextStatus: change.status};
+            });
+            this._makeMove({moves: moves, assist: assist});
+        }
+    }
+
+    /**
+     * autoComplete only completes the rows and columns of the changes of the player, so a single move can not solve
+     * the whole board. autoFlag also follows the lines crossing fields changed by assists.
+     * @returns {{autoComplete: [], autoFlag: []}} list of {row, column, status} for every assist
+     */
+    _getAssistChanges(changes, assists){
+        let statuses = {};
+        let fields = this.getFieldsAll();
+        for(let i=0; i<fields.length; i++){
+            statuses[Kakurasu._getFieldKey(fields[i].row, fields[i].column)] = fields[i].getStatus();
+        }
+        let assistChanges = {};
+        assistChanges[ASSIST_AUTO_COMPLETE] = [];
+        assistChanges[ASSIST_AUTO_FLAG] = [];
+        let queue = Kakurasu._getLinesOfChanges(changes).map(line => Object.assign(line, {assists: assists}));
+        let crossingLineAssists = Object.assign({}, assists, {autoComplete: false});
+        let queued = {};
+        for(let i=0; i<queue.length; i++){
+            queued[queue[i].forRow+_FIELD_KEY_SEPERATOR+queue[i].index] = true;
+        }
+        while(queue.length > 0){
+            let line = queue.shift();
+            queued[line.forRow+_FIELD_KEY_SEPERATOR+line.index] = false;
+            let lineChanges = this._getAssistChangesOfLine(line, statuses, line.assists);
+            for(let i=0; i<lineChanges.length; i++){
+                let change = lineChanges[i];
+                statuses[Kakurasu._getFieldKey(change.row, change.column)] = change.status;
+                assistChanges[change.assist].push(change);
+                let crossingLine = {
+                    forRow: !line.forRow,
+                    index: line.forRow ? change.column : change.row,
+                    assists: crossingLineAssists
+                };
+                let crossingLineKey = crossingLine.forRow+_FIELD_KEY_SEPERATOR+crossingLine.index;
+                if(!queued[crossingLineKey]){
+                    queued[crossingLineKey] = true;
+                    queue.push(crossingLine);
+                }
+            }
+        }
+        return assistChanges;
+    }
+
+    /**
+     * @param statuses the statuses of all fields including the changes of assists so far
+     * @returns {[]} list of {row, column, status, assist}
+     */
+    _getAssistChangesOfLine(line, statuses, assists){
+        let fields = this._getFieldsInRowColumn(line.forRow, line.index);
+        let weights = fields.map(field => this._getWeightForField(line.forRow, field));
+        let values = fields.map(field => {
+            let status = statuses[Kakurasu._getFieldKey(field.row, field.column)];
+            return status === STATUS_ACTIVE ? SOLVER_CELL_ACTIVE : status === STATUS_FLAGGED ? SOLVER_CELL_EMPTY : SOLVER_CELL_UNKNOWN;
+        });
+        let constraint = this._getConstraintValue(line.forRow, line.index);
+        let changes = [];
+        let addChanges = (status, assist, isChanged) => {
+            for(let i=0; i<fields.length; i++){
+                if(values[i] === SOLVER_CELL_UNKNOWN && !fields[i].isReadOnly() && isChanged(i)){
+                    changes.push({row: fields[i].row, column: fields[i].column, status: status, assist: assist});
+                    values[i] = status === STATUS_ACTIVE ? SOLVER_CELL_ACTIVE : SOLVER_CELL_EMPTY;
+                }
+            }
+        };
+        if(assists.autoComplete){
+            let deducedValues = KakurasuSubsetEngine.analyseLine(weights, constraint, values);
+            if(deducedValues !== null){
+                addChanges(STATUS_ACTIVE, ASSIST_AUTO_COMPLETE, i => deducedValues[i] === SOLVER_CELL_ACTIVE);
+            }
+        }
+        if(assists.autoFlag && KakurasuSubsetEngine.getRemainingConstraint(weights, constraint, values) === 0){
+            addChanges(STATUS_FLAGGED, ASSIST_AUTO_FLAG, () => true);
+        }
+        return changes;
+    }
+
+    /**
+     * Subscribes to an event of the game. The listener is called with the payload and the game:
+     * move, undo, redo: {move, changes}, reset: {changes}, changes is a list of {field, row, column, previousStatus,
+     * nextStatus} of all changed fields
+     * lineSatisfied: {forRow, index, constraint} for every row and column which becomes satisfied by a change
+     * won: {amountMoves} when the game becomes won
+     * Listeners are not part of the state
+     * @param event one of "move", "undo", "redo", "reset", "lineSatisfied", "won"
+     * @param listener function(payload, game)
+     */
+    on(event, listener){
+        if(EVENTS.indexOf(event) < 0){
+            throw new Error("Unknown event "+event+", use one of "+EVENTS.join(", "));
+        }
+        this.listeners[event] = this.listeners[event] || [];
+        this.listeners[event].push(listener);
+    }
+
+    /**
+     * Unsubscribes a listener from an event
+     * @param event the event name
+     * @param listener the listener given to on
+     * @returns {boolean} if the listener was subscribed
+     */
+    off(event, listener){
+        let listeners = this.listeners[event] || [];
+        let index = listeners.indexOf(listener);
+        if(index < 0){
+            return false;
+        }
+        listeners.splice(index, 1);
+        return true;
+    }
+
+    _emit(event, payload){
+        let listeners = (this.listeners[event] || []).slice();
+        for(let i=0; i<listeners.length; i++){
+            listeners[i](payload, this);
+        }
+    }
+
+    /**
+     * Changes fields and emits the event and the lineSatisfied and won events caused by the changes
+     * @param event the event to emit
+     * @param changes the changes of the fields, see _getMoveChanges
+     * @param change function returning if the fields were changed
+     * @param payload [optional] additional payload of the event
+     * @returns {boolean} if the fields were changed
+     */
+    _changeFieldsAndEmit(event, changes, change, payload = {}){
+        let lines = Kakurasu._getLinesOfChanges(changes);
+        let linesSatisfiedBefore = lines.map(line => this._isRowColumnConstraintSatisfied(line.forRow, line.index));
+        let wonBefore = this.isGameWon();
+        let changed = change();
+        if(!changed){
+            return false;
+        }
+        if(!this.isGameWon()){
+            this.resumeTimer();
+            this.state.statistics.score = null;
+        }
+        this._emit(event, Object.assign({}, payload, {changes: changes}));
+        for(let i=0; i<lines.length; i++){
+            let line = lines[i];
+            if(!linesSatisfiedBefore[i] && this._isRowColumnConstraintSatisfied(line.forRow, line.index)){
+                this._emit(EVENT_LINE_SATISFIED, {
+                    forRow: line.forRow,
+                    index: line.index,
+                    constraint: this._getConstraintValue(line.forRow, line.index)
+                });
+            }
+        }
+        if(!wonBefore && this.isGameWon()){
+            this.pauseTimer();
+            this.state.statistics.score = this._calculateScore();
+            this._emit(EVENT_WON, {amountMoves: this.getAmountMoves(), statistics: this.getStatistics()});
+        }
+        return true;
+    }
+
+    /**
+     * Applies a move without changing the move history
+     * @param event the event to emit, "undo" or "redo"
+     * @param move the move
+     * @param reverse if the move is undone
+     */
+    _applyMoveAndEmit(event, move, reverse){
+        let appliedMove = reverse ? Kakurasu._getReversedMove(move) : move;
+        return this._changeFieldsAndEmit(event, this._getMoveChanges(appliedMove), () => this._applyMove(appliedMove), {
+            move: JSON.parse(JSON.stringify(move))
+        });
+    }
+
+    /**
+     * @returns {[]} list of {field, row, column, previousStatus, nextStatus} for every field the move changes
+     */
+    _getMoveChanges(move){
+        if(Kakurasu._isBatchMove(move)){
+            return move.moves.reduce((changes, batchMove) => changes.concat(this._getMoveChanges(batchMove)), []);
+        }
+        let field = this._getFieldFromMove(move);
+        if(field.isReadOnly()){
+            return [];
+        }
+        return [Kakurasu._createChange(field, move.nextStatus)];
+    }
+
+    static _createChange(field, nextStatus){
+        return {
+            field: field,
+            row: field.row,
+            column: field.column,
+            previousStatus: field.getStatus(),
+            nextStatus: nextStatus
+        };
+    }
+
+    /**
+     * @returns {[]} list of {forRow, index} of all rows and columns with changes
+     */
+    static _getLinesOfChanges(changes){
+        let lines = [];
+        let lineKeys = {};
+        for(let i=0; i<changes.length; i++){
+            let change = changes[i];
+            let changeLines = [{forRow: true, index: change.row}, {forRow: false, index: change.column}];
+            for(let j=0; j<changeLines.length; j++){
+                let lineKey = changeLines[j].forRow+_FIELD_KEY_SEPERATOR+changeLines[j].index;
+                if(!lineKeys[lineKey]){
+                    lineKeys[lineKey] = true;
+                    lines.push(changeLines[j]);
+                }
+            }
+        }
+        return lines;
+    }
+
     /**
      * returns the amount of moves made
      * @returns {number}
@@ -52,15 +597,28 @@ class Kakurasu {
      * Resets the game to original start
      */
     resetGame(){
-        let fieldKeys = Object.keys(this.state.fields);
-        for(let i=0; i<fieldKeys.length; i++){
-            let fieldKey = fieldKeys[i];
-            let field = this.state.fields[fieldKey];
-            field._reset();
-            this.state.fields[fieldKey] = field;
-        }
-        this.state.moveHistory = CLEANVALUE_MOVEHISTORY;
-        this.state.currentMoveIndex = CLEANVALUE_CURRENTMOVEINDEX;
+        let changes = this.getFieldsAll()
+            .filter(field => !field.isReadOnly() && !field.isClear())
+            .map(field => Kakurasu._createChange(field, STATUS_CLEAR));
+        this._changeFieldsAndEmit(EVENT_RESET, changes, () => {
+            let fieldKeys = Object.keys(this.state.fields);
+            for(let i=0; i<fieldKeys.length; i++){
+                let fieldKey = fieldKeys[i];
+                let field = this.state.fields[fieldKey];
+                field._reset();
+                this.state.fields[fieldKey] = field;
+            }
+            this.state.moveHistory = CLEANVALUE_MOVEHISTORY.slice();
+            this.state.currentMoveIndex = CLEANVALUE_CURRENTMOVEINDEX;
+            this.state.moveTree = Kakurasu._getCleanMoveTree();
+            this.state.statistics = Kakurasu._getCleanStatistics();
+            this.timerStartTime = Date.now();
+            return true;
+        });
+    }
+
+    static _getCleanMoveTree(){
+        return {nodes: [], activeBranch: [], checkpoints: {}};
     }
 
     /**
@@ -123,6 +681,80 @@ class Kakurasu {
         }
     }
 
+    /**
+     * Sets the status of many fields as one move, which is undone and redone at once. Read only fields and fields
+     * which already have the status are skipped.
+     * @param changes list of {row, column, status}
+     * @returns {boolean} if any field was changed
+     */
+    applyMoves(changes){
+        let moves = [];
+        for(let i=0; i<changes.length; i++){
+            let change = changes[i];
+            let field = this.getField(change.row, change.column);
+            if(!field.isReadOnly() && field.getStatus() !== change.status){
+                moves.push({
+                    row: change.row,
+                    column: change.column,
+                    previousStatus: field.getStatus(),
+                    nextStatus: change.status
+                });
+            }
+        }
+        if(moves.length === 0){
+            return false;
+        }
+        return this._makeMove({moves: moves});
+    }
+
+    /**
+     * Sets all clear fields of a row active as one move
+     * @param row the row index, starting at 0
+     * @returns {boolean} if any field was changed
+     */
+    fillRemainingInRow(row){
+        return this._setRemainingInRowColumn(true, row, STATUS_ACTIVE);
+    }
+
+    /**
+     * Sets all clear fields of a column active as one move
+     * @param column the column index, starting at 0
+     * @returns {boolean} if any field was changed
+     */
+    fillRemainingInColumn(column){
+        return this._setRemainingInRowColumn(false, column, STATUS_ACTIVE);
+    }
+
+    /**
+     * Sets all clear fields of a row flagged as one move
+     * @param row the row index, starting at 0
+     * @returns {boolean} if any field was changed
+     */
+    flagRemainingInRow(row){
+        return this._setRemainingInRowColumn(true, row, STATUS_FLAGGED);
+    }
+
+    /**
+     * Sets all clear fields of a column flagged as one move
+     * @param column the column index, starting at 0
+     * @returns {boolean} if any field was changed
+     */
+    flagRemainingInColumn(column){
+        return this._setRemainingInRowColumn(false, column, STATUS_FLAGGED);
+    }
+
+    _setRemainingInRowColumn(forRow, index, status){
+        let fields = this._getFieldsInRowColumn(forRow, index);
+        let changes = [];
+        for(let i=0; i<fields.length; i++){
+            let field = fields[i];
+            if(field.isClear()){
+                changes.push({row: field.row, column: field.column, status: status});
+            }
+        }
+        return this.applyMoves(changes);
+    }
+
     _setFieldStatus(row,column, status){
         let field = this.getField(row,column);
         let move = {
@@ -134,16 +766,46 @@ class Kakurasu {
         return this._makeMove(move);
     }
 
+    /**
+     * Makes a move of the player or of an assist (move.assist), moves of the player are followed by the assists
+     */
     _makeMove(move){
-        let moveApplied = this._applyMove(move);
-        if(moveApplied){
-            this._addMoveToHistory(move);
+        move.time = Date.now();
+        let changes = this._getMoveChanges(move);
+        let changed = this._changeFieldsAndEmit(EVENT_MOVE, changes, () => {
+            let moveApplied = this._applyMove(move);
+            if(moveApplied){
+                this._addMoveToHistory(move);
+                this._countMove(move);
+            }
+            return moveApplied;
+        }, {move: JSON.parse(JSON.stringify(move))});
+        if(changed && !move.assist){
+            this._applyAssists(changes);
         }
-        return moveApplied;
+        return changed;
     }
 
+    _countMove(move){
+        if(!!move.assist){
+            this.state.statistics.assistedMoves++;
+            return;
+        }
+        let solution = this._getPredefinedSolution();
+        this.state.statistics.moves++;
+        if(solution !== null && Kakurasu._isMoveContradictingSolution(move, solution)){
+            this.state.statistics.mistakes++;
+        }
+    }
+
+    /**
+     * The move is added as new node to the move tree, undone moves are not deleted but stay as another branch
+     */
     _addMoveToHistory(move){
+        let moveTree = this.state.moveTree;
+        moveTree.nodes.push({parent: this._getCurrentHistoryNode(), move: JSON.parse(JSON.stringify(move))});
         this._deleteFutureMoveHistory();
+        moveTree.activeBranch.push(moveTree.nodes.length-1);
         this.state.moveHistory.push(move);
         this._changeCurrentMoveIndex(1);
     }
@@ -160,8 +822,10 @@ class Kakurasu {
             */
             newHistory = this.state.moveHistory.slice(0,currentIndex+1);
             this.state.moveHistory = newHistory;
+            this.state.moveTree.activeBranch = this.state.moveTree.activeBranch.slice(0,currentIndex+1);
         } else {
             this.state.moveHistory = [];
+            this.state.moveTree.activeBranch = [];
         }
     }
 
@@ -190,11 +854,28 @@ class Kakurasu {
         return copy;
     }
 
+    /**
+     * A batch move has a list of moves, its field is the field of the last move
+     */
+    static _isBatchMove(move){
+        return Array.isArray(move.moves);
+    }
+
     _getFieldFromMove(move){
+        if(Kakurasu._isBatchMove(move)){
+            return this._getFieldFromMove(move.moves[move.moves.length-1]);
+        }
         return this.getField(move.row,move.column);
     }
 
     _applyMove(move){
+        if(Kakurasu._isBatchMove(move)){
+            let anyMoveApplied = false;
+            for(let i=0; i<move.moves.length; i++){
+                anyMoveApplied = this._applyMove(move.moves[i]) || anyMoveApplied;
+            }
+            return anyMoveApplied;
+        }
         let field = this._getFieldFromMove(move);
         if(!field.isReadOnly()){
             field.setStatus(move.nextStatus);
@@ -249,8 +930,10 @@ class Kakurasu {
     redoMove(){
         if(this.isPossibleToRedoMove()){
             let moveToBeRedone = this.getMoveFromHistoryAsCopy(this._calcNextCurrentMoveIndex(1));
-            this._changeCurrentMoveIndex(1);
-            return this._applyMove(moveToBeRedone);
+            return this._changeFieldsAndEmit(EVENT_REDO, this._getMoveChanges(moveToBeRedone), () => {
+                this._changeCurrentMoveIndex(1);
+                return this._applyMove(moveToBeRedone);
+            }, {move: moveToBeRedone});
         }
         return false;
     }
@@ -284,66 +967,266 @@ class Kakurasu {
     undoMove(){
         if(this.isPossibleToUndoMove()){
             let moveToBeUndone = this.getMoveFromHistoryAsCopy(this._calcNextCurrentMoveIndex(0));
-            let helperNextStatus = moveToBeUndone.nextStatus;
-            moveToBeUndone.nextStatus = moveToBeUndone.previousStatus;
-            moveToBeUndone.previousStatus = helperNextStatus;
-            this._changeCurrentMoveIndex(-1);
-            return this._applyMove(moveToBeUndone);
+            let reversedMove = Kakurasu._getReversedMove(moveToBeUndone);
+            return this._changeFieldsAndEmit(EVENT_UNDO, this._getMoveChanges(reversedMove), () => {
+                this._changeCurrentMoveIndex(-1);
+                this.state.statistics.undos++;
+                return this._applyMove(reversedMove);
+            }, {move: moveToBeUndone});
         }
         return false;
     }
 
-    /**
-     * Get the game state as json, which can used in the constructor
-     * @returns {any} state of the game as json
-     */
-    asJSON(){
-        let fields = Kakurasu._fieldsAsJSON(this.state.fields);
-        let state = JSON.parse(JSON.stringify(this.state));
-        state.fields = fields;
-        return state;
-    }
-
-    static _fieldsAsJSON(fields){
-        let fieldsCopy = {};
-        let fieldKeys = Object.keys(fields);
-        for(let i=0; i < fieldKeys.length; i++){
-            let fieldKey = fieldKeys[i];
-            let field = fields[fieldKey];
-            fieldsCopy[fieldKey] = field.asJSON();
+    static _getReversedMove(move){
+        let reversedMove = JSON.parse(JSON.stringify(move));
+        if(Kakurasu._isBatchMove(move)){
+            reversedMove.moves = move.moves.slice().reverse().map(Kakurasu._getReversedMove);
+            return reversedMove;
         }
-        return fieldsCopy;
+        reversedMove.nextStatus = move.previousStatus;
+        reversedMove.previousStatus = move.nextStatus;
+        return reversedMove;
     }
 
     /**
-     * checks if the game is finished/won and all constraints are satisfied
-     * @returns {boolean|boolean} if level is finished
+     * Get the node of the move tree of the current move
+     * @returns {null|number} index of the node, null at the start of the game
      */
-    isGameWon(){
-        let allRowsSatisfied = this._areAllRowColumnContraintsSatisfied(true);
-        let allColumnsSatisfied = this._areAllRowColumnContraintsSatisfied(false);
-        return allRowsSatisfied && allColumnsSatisfied;
+    _getCurrentHistoryNode(){
+        let currentIndex = this.state.currentMoveIndex;
+        if(isNaN(parseInt(currentIndex))){
+            return null;
+        }
+        return this.state.moveTree.activeBranch[currentIndex];
     }
 
-    _areAllRowColumnContraintsSatisfied(forRow=false){
-        let length = this._getAmountRowColumns(forRow);
-        for(let i=0; i<length; i++){
-            let constraintSatisfied = this._isRowColumnConstraintSatisfied(forRow, i);
-            if(!constraintSatisfied){
-                return false;
-            }
+    /**
+     * @returns {[]} the indexes of all nodes from the start of the game to the node
+     */
+    _getHistoryNodePath(node){
+        let path = [];
+        while(node !== null){
+            path.unshift(node);
+            node = this.state.moveTree.nodes[node].parent;
         }
-        return true;
+        return path;
     }
 
-    _getAmountRowColumns(forRow){
-        return forRow ? this.getAmountRows() : this.getAmountColumns();
+    _isHistoryNode(node){
+        return node === null || (Number.isInteger(node) && node >= 0 && node < this.state.moveTree.nodes.length);
     }
 
     /**
-     * Checks if row is satisfied
-     * @param row the index of the row
-     * @returns {boolean} satisfied row
+     * Undoes the moves to the common parent of the current node and the node and then makes the moves to the node.
+     * If the node is not in the active branch, its branch becomes the active branch, following its latest moves.
+     * @param node the index of the node, null for the start of the game
+     */
+    _goToHistoryNode(node){
+        let nodes = this.state.moveTree.nodes;
+        let targetPath = this._getHistoryNodePath(node);
+        let currentPath = this._getHistoryNodePath(this._getCurrentHistoryNode());
+        let amountCommonNodes = 0;
+        while(amountCommonNodes < targetPath.length && targetPath[amountCommonNodes] === currentPath[amountCommonNodes]){
+            amountCommonNodes++;
+        }
+        for(let i=currentPath.length-1; i>=amountCommonNodes; i--){
+            this._applyMoveAndEmit(EVENT_UNDO, nodes[currentPath[i]].move, true);
+        }
+        for(let i=amountCommonNodes; i<targetPath.length; i++){
+            this._applyMoveAndEmit(EVENT_REDO, nodes[targetPath[i]].move, false);
+        }
+
+        let activeBranch = this.state.moveTree.activeBranch;
+        let isInActiveBranch = targetPath.every((pathNode, index) => activeBranch[index] === pathNode);
+        if(!isInActiveBranch){
+            activeBranch = targetPath.concat(this._getLatestHistoryContinuation(node));
+        }
+        this.state.moveTree.activeBranch = activeBranch;
+        this.state.moveHistory = activeBranch.map(branchNode => JSON.parse(JSON.stringify(nodes[branchNode].move)));
+        this.state.currentMoveIndex = targetPath.length > 0 ? targetPath.length-1 : null;
+    }
+
+    /**
+     * @returns {[]} the nodes after the node, always following the latest made move
+     */
+    _getLatestHistoryContinuation(node){
+        let nodes = this.state.moveTree.nodes;
+        let continuation = [];
+        let latestChild = node;
+        while(latestChild !== null){
+            latestChild = null;
+            for(let i=nodes.length-1; i>=0; i--){
+                if(nodes[i].parent === node){
+                    latestChild = i;
+                    break;
+                }
+            }
+            if(latestChild !== null){
+                continuation.push(latestChild);
+                node = latestChild;
+            }
+        }
+        return continuation;
+    }
+
+    /**
+     * Get all branches of the move history. A new move after undoing moves starts a new branch, the undone moves
+     * are kept in their own branch.
+     * @returns {[]} list of branches {node: index of the last node, amountMoves: number, active: boolean}
+     */
+    getBranches(){
+        let nodes = this.state.moveTree.nodes;
+        let activeBranch = this.state.moveTree.activeBranch;
+        let hasChildren = {};
+        for(let i=0; i<nodes.length; i++){
+            if(nodes[i].parent !== null){
+                hasChildren[nodes[i].parent] = true;
+            }
+        }
+        let branches = [];
+        for(let i=0; i<nodes.length; i++){
+            if(!hasChildren[i]){
+                branches.push({
+                    node: i,
+                    amountMoves: this._getHistoryNodePath(i).length,
+                    active: activeBranch[activeBranch.length-1] === i
+                });
+            }
+        }
+        return branches;
+    }
+
+    /**
+     * Switches to the last move of a branch, its moves can be undone and redone
+     * @param node the index of the last node of the branch, see getBranches
+     * @returns {boolean} if the branch exists
+     */
+    switchToBranch(node){
+        if(node === null || !this._isHistoryNode(node)){
+            return false;
+        }
+        this._goToHistoryNode(node);
+        return true;
+    }
+
+    /**
+     * Saves the current position in the move history under a name, an existing checkpoint with the name is replaced
+     * @param name name of the checkpoint e.g. "before guess A"
+     */
+    setCheckpoint(name){
+        this.state.moveTree.checkpoints[name] = this._getCurrentHistoryNode();
+    }
+
+    /**
+     * Get all checkpoints
+     * @returns {[]} list of checkpoints {name: string, node: index of the node or null at the start, amountMoves: number}
+     */
+    getCheckpoints(){
+        let checkpoints = this.state.moveTree.checkpoints;
+        return Object.keys(checkpoints).map(name => {
+            return {
+                name: name,
+                node: checkpoints[name],
+                amountMoves: this._getHistoryNodePath(checkpoints[name]).length
+            };
+        });
+    }
+
+    /**
+     * Returns to the position of a checkpoint, switching the branch if necessary
+     * @param name name of the checkpoint
+     * @returns {boolean} if the checkpoint exists
+     */
+    restoreCheckpoint(name){
+        if(!this.state.moveTree.checkpoints.hasOwnProperty(name)){
+            return false;
+        }
+        this._goToHistoryNode(this.state.moveTree.checkpoints[name]);
+        return true;
+    }
+
+    /**
+     * Deletes a checkpoint, the moves stay in the history
+     * @param name name of the checkpoint
+     * @returns {boolean} if the checkpoint existed
+     */
+    deleteCheckpoint(name){
+        if(!this.state.moveTree.checkpoints.hasOwnProperty(name)){
+            return false;
+        }
+        delete this.state.moveTree.checkpoints[name];
+        return true;
+    }
+
+    /**
+     * Undoes moves until there are no conflicts (see getConflicts), the undone moves can be redone
+     * @returns {number} amount of undone moves
+     */
+    revertToLastConsistentState(){
+        let amountUndoneMoves = 0;
+        while(!this._isConsistent() && this.undoMove()){
+            amountUndoneMoves++;
+        }
+        return amountUndoneMoves;
+    }
+
+    _isConsistent(){
+        let conflicts = this.getConflicts();
+        return conflicts.lines.length === 0 && conflicts.fields.length === 0;
+    }
+
+    /**
+     * Get the game state as json, which can used in the constructor
+     * @returns {any} state of the game as json
+     */
+    asJSON(){
+        let fields = Kakurasu._fieldsAsJSON(this.state.fields);
+        let state = JSON.parse(JSON.stringify(this.state));
+        state.fields = fields;
+        state.statistics.elapsedTime = this.getElapsedTime();
+        return state;
+    }
+
+    static _fieldsAsJSON(fields){
+        let fieldsCopy = {};
+        let fieldKeys = Object.keys(fields);
+        for(let i=0; i < fieldKeys.length; i++){
+            let fieldKey = fieldKeys[i];
+            let field = fields[fieldKey];
+            fieldsCopy[fieldKey] = field.asJSON();
+        }
+        return fieldsCopy;
+    }
+
+    /**
+     * checks if the game is finished/won and all constraints are satisfied
+     * @returns {boolean|boolean} if level is finished
+     */
+    isGameWon(){
+        let allRowsSatisfied = this._areAllRowColumnContraintsSatisfied(true);
+        let allColumnsSatisfied = this._areAllRowColumnContraintsSatisfied(false);
+        return allRowsSatisfied && allColumnsSatisfied;
+    }
+
+    _areAllRowColumnContraintsSatisfied(forRow=false){
+        let length = this._getAmountRowColumns(forRow);
+        for(let i=0; i<length; i++){
+            let constraintSatisfied = this._isRowColumnConstraintSatisfied(forRow, i);
+            if(!constraintSatisfied){
+                return false;
+            }
+        }
+        return true;
+    }
+
+    _getAmountRowColumns(forRow){
+        return forRow ? this.getAmountRows() : this.getAmountColumns();
+    }
+
+    /**
+     * Checks if row is satisfied
+     * @param row the index of the row
+     * @returns {boolean} satisfied row
      */
     isRowConstraintSatisfied(row){
         return this._isRowColumnConstraintSatisfied(true, row);
@@ -364,6 +1247,24 @@ class Kakurasu {
         return solutionValue===fieldsValue;
     }
 
+    /**
+     * Get the sum of the weights of all active fields in a row
+     * @param row the index of the row
+     * @returns {number} the current value of the row
+     */
+    getSumValueForRow(row){
+        return this._getRowColumnSumValue(true, row);
+    }
+
+    /**
+     * Get the sum of the weights of all active fields in a column
+     * @param column the index of the column
+     * @returns {number} the current value of the column
+     */
+    getSumValueForColumn(column){
+        return this._getRowColumnSumValue(false, column);
+    }
+
     _getRowColumnSumValue(forRow=false, index){
         let fields = this._getFieldsInRowColumn(forRow, index);
         let fieldsValue = 0;
@@ -391,12 +1292,12 @@ class Kakurasu {
         for(let i=0; i<fieldKeys.length; i++){
             let fieldKey = fieldKeys[i];
             let split = fieldKey.split(_FIELD_KEY_SEPERATOR);
-            let column = parseInt(split[0]);
-            let row = parseInt(split[1]);
-            if(!highestColumnKey || highestColumnKey<column){
+            let row = parseInt(split[0]);
+            let column = parseInt(split[1]);
+            if(highestColumnKey === null || highestColumnKey<column){
                 highestColumnKey = column;
             }
-            if(!highestRowKey || highestRowKey<column){
+            if(highestRowKey === null || highestRowKey<row){
                 highestRowKey = row;
             }
         }
@@ -422,7 +1323,7 @@ class Kakurasu {
     }
 
     /**
-     * Get the weight of the row/column index
+     * Get the default weight of the row/column index, see getRowWeight and getColumnWeight for the weights of a game
      * @param index
      * @returns {*}
      */
@@ -430,6 +1331,24 @@ class Kakurasu {
         return index+1;
     }
 
+    /**
+     * Get the weight of a row, which is added to the column constraints
+     * @param row the row index
+     * @returns {number} the weight
+     */
+    getRowWeight(row){
+        return !!this.state.weights ? this.state.weights.rows[row] : this.getWeight(row);
+    }
+
+    /**
+     * Get the weight of a column, which is added to the row constraints
+     * @param column the column index
+     * @returns {number} the weight
+     */
+    getColumnWeight(column){
+        return !!this.state.weights ? this.state.weights.columns[column] : this.getWeight(column);
+    }
+
     /**
      * Get a list of all fields in a row index
      * @param row the index of the row
@@ -450,7 +1369,7 @@ class Kakurasu {
 
     _getFieldsInRowColumn(forRow, index){
         let selectedFields = [];
-        let length = this._getAmountRowColumns(forRow);
+        let length = this._getAmountRowColumns(!forRow); //a row has a field in every column
         for(let i=0; i<length; i++){
             let row = forRow ? index : i;
             let column = forRow ? i : index;
@@ -460,12 +1379,23 @@ class Kakurasu {
         return selectedFields;
     }
 
+    /**
+     * The weight of a field is its own weight if it has one, otherwise the weight of its column for a row and the
+     * weight of its row for a column
+     */
     _getWeightForField(forRow=false, field){
-        let weightIndex = forRow ? field.column : field.row;
-        return this.getWeight(weightIndex);
+        if(field.hasWeight()){
+            return field.getWeight();
+        }
+        return forRow ? this.getColumnWeight(field.column) : this.getRowWeight(field.row);
     }
 
     _loadFieldMetaInformationsContraintsForFields(forRow=false, index){
+        let constraintRowOrColumn = this._getConstraintRowOrColumn(forRow);
+        if(!!this.state.constraints){ //given constraints are used instead of the solution
+            this.meta.contraints[constraintRowOrColumn][index] = this.state.constraints[constraintRowOrColumn][index];
+            return;
+        }
         let fields = this._getFieldsInRowColumn(forRow, index);
         let solutionValue = 0;
         for(let i=0; i<fields.length; i++){
@@ -477,7 +1407,6 @@ class Kakurasu {
             }
         }
 
-        let constraintRowOrColumn = this._getConstraintRowOrColumn(forRow);
         this.meta.contraints[constraintRowOrColumn][index] = solutionValue;
     }
 
@@ -552,16 +1481,69 @@ class Kakurasu {
     }
 
 
+    /**
+     * Creates a game only by the constraints, e.g. of a puzzle printed in a newspaper. The game has no predefined
+     * solution, the solution dependent methods use the solver instead.
+     * @param constraints {rows: [] constraint of every row, columns: [] constraint of every column}
+     * @param weights [optional] {rows: [] weight of every row, columns: [] weight of every column}, default index+1
+     * @returns {Kakurasu} the new game
+     */
+    static fromConstraints(constraints, weights){
+        if(!constraints || !Array.isArray(constraints.rows) || !Array.isArray(constraints.columns)){
+            throw new KakurasuStateError(["constraints have to contain a list of rows and a list of columns"]);
+        }
+        let fields = KakurasuLevelGenerator._initEmptyField(constraints.rows.length, constraints.columns.length);
+        let state = {
+            fields: Kakurasu._fieldsAsJSON(fields),
+            constraints: {rows: constraints.rows.slice(), columns: constraints.columns.slice()}
+        };
+        if(!!weights){
+            state.weights = JSON.parse(JSON.stringify(weights));
+        }
+        return new Kakurasu(state);
+    }
+
+    /**
+     * Checks if a solution is known. Games with given constraints have no predefined solution, for them a solution
+     * is known if the solver proves within its search limit that it is the only one.
+     * @returns {boolean}
+     */
+    isSolutionKnown(){
+        return this._getPredefinedSolution() !== null;
+    }
+
+    /**
+     * The predefined solution is given by the solution of the fields, or by the solver if the game has given
+     * constraints. Moves towards another solution are no mistakes, so the solution of the solver is only used if it
+     * is unique.
+     * @returns {null|[]} solution[row][column] is true for active fields, null if no solution is known
+     */
+    _getPredefinedSolution(){
+        if(!!this.state.constraints){
+            let result = this._getSolverResult();
+            return result.unique ? result.solutions[0] : null;
+        }
+        let solution = [];
+        for(let row=0; row<this.getAmountRows(); row++){
+            solution.push(this.getFieldsInRow(row).map(field => !!field.isSolution()));
+        }
+        return solution;
+    }
+
     /**
      * ! CHECK if game is won before ! Checks if all fields of the predefined solution were found, otherwise
      * an alternative solution is found.
-     * @returns {boolean}
+     * @returns {boolean} false if no solution is known
      */
     isPredefinedSolutionFound(){
+        let solution = this._getPredefinedSolution();
+        if(solution === null){
+            return false;
+        }
         let allFields = this.getFieldsAll();
         for(let i=0; i<allFields.length; i++){
             let field = allFields[i];
-            if(field.isSolution()){
+            if(solution[field.row][field.column]){
                 if(!field.isActive()){ //if solution field ==> must be active
                     return false;
                 }
@@ -576,14 +1558,18 @@ class Kakurasu {
 
     /**
      * Get all predefined solution fields
-     * @returns {[]} list of fields for ONE game solution
+     * @returns {null|[]} list of fields for ONE game solution, null if no solution is known
      */
     getAllPredefinedSolutionFields(){
+        let solution = this._getPredefinedSolution();
+        if(solution === null){
+            return null;
+        }
         let allFields = this.getFieldsAll();
         let solutionFields = [];
         for(let i=0; i <allFields.length; i++){
             let field = allFields[i];
-            if(field.isSolution()){
+            if(solution[field.row][field.column]){
                 solutionFields.push(field);
             }
         }
@@ -606,132 +1592,424 @@ class Kakurasu {
 
 
     /**
-     * Get all values in a row/column which are safe part of any possible solution for this specific row constraint
-     * This does not mean, that it must be a real solution
-     * @param forRow boolean if for row
-     * @param index the rowIndex / columnIndex
-     * @returns {[]} list of all solutions which are safe
+     * Get the next cell which is forced by the constraints and the active and flagged fields of the player
+     * @returns {null|{row: number, column: number, action: string, technique: string, explanation: {}}} action is
+     * "activate" or "flag", null if no cell can be deduced or the fields of the player already contradict the
+     * constraints (see getConflicts)
      */
-    getAllDefinitelySolutionWeightsForRowColumn(forRow, index){
-        let solutionSubsets = this.getPossibleWeightSolutionSetsForRowColumn(forRow, index);
-        let weights = this._getAllWeightsForRowColumn(forRow, index);
-        let definitelyWeights = [];
-        if(solutionSubsets.length > 0) {
-            for (let i = 0; i < weights.length; i++) {
-                let weight = weights[i];
-                let weightInAllSolutions = true;
-                for (let j = 0; j < solutionSubsets.length && weightInAllSolutions; j++) {
-                    let solutionSubset = solutionSubsets[j];
-                    if(!solutionSubset.includes(weight)){
-                        weightInAllSolutions = false;
-                    }
-                }
-                if(weightInAllSolutions){
-                    definitelyWeights.push(weight);
-                }
-            }
+    getHint(){
+        let hint = this._calculateHint();
+        if(!!hint){
+            this.state.statistics.hints++;
         }
-        return definitelyWeights;
+        return hint;
     }
 
-    _getAllWeightsForRowColumn(forRow, index){
-        let weights = [];
-        for(let i=0; i<fields.length; i++){
-            let field = fields[i];
-            let weight = this._getWeightForField(field);
-            weights.push(weight);
+    /**
+     * Calculates the hint without counting it in the statistics
+     */
+    _calculateHint(){
+        let solver = new KakurasuSolver(this);
+        let grid = this._getPlayerGrid(solver);
+        if(!this._isPlayerGridConsistent(solver, grid)){
+            return null;
         }
-        return weights;
+        return this._getSingleLineHint(solver, grid) || this._getContradictionHint(solver, grid);
+    }
+
+    _getPlayerGrid(solver){
+        let grid = [];
+        let allFields = this.getFieldsAll();
+        for(let i=0; i<allFields.length; i++){
+            let field = allFields[i];
+            let value = SOLVER_CELL_UNKNOWN;
+            if(field.isActive()){
+                value = SOLVER_CELL_ACTIVE;
+            }
+            if(field.isFlagged()){
+                value = SOLVER_CELL_EMPTY;
+            }
+            grid[solver._getCell(field.row, field.column)] = value;
+        }
+        return grid;
     }
 
     /**
-     * Gives a subset of all possible solutions for this row/column constraint, BUT not all of them may are part of
-     * the solution for the whole game.
-     * @param forRow boolean if for row
-     * @param index the rowIndex / columnIndex
+     * A contradiction of an assumption only forces the opposite value, if the fields of the player do not already lead
+     * to a contradiction on their own
      */
-    getPossibleWeightSolutionSetsForRowColumn(forRow, index){
-        let weights = this._getAllWeightsForRowColumn(forRow, index);
-        let constraint = this._getConstraintValue(forRow, index);
-        return MathHelper.subset_sum(weights, constraint);
+    _isPlayerGridConsistent(solver, grid){
+        let allLines = Array.from(Array(solver.lines.length).keys());
+        return solver._propagate(grid.slice(0), allLines);
     }
 
-
-
     /**
-     * DEBUGGING ! Print the field.
-     * @returns {string} string for the console with solutions as S labeld
+     * Lines which can not be satisfied by the fields of the player are skipped
      */
-    print(){
-        let rows = this.getAmountRows();
-        let columns = this.getAmountColumns();
-        let largestIndexLength = rows > columns ? (rows+"").length : (columns+"").length;
-        let largestConstraintLength = (this.getHighestConstraintValue()+"").length;
-        let largestAmount = largestIndexLength > largestConstraintLength ? largestIndexLength : largestConstraintLength;
-        let output = "".padStart(largestAmount," ")+"|";
-        for(let column=0; column < columns; column++){
-            output += (this.getWeight(column)+"").padStart(largestAmount," ")+"|";
-        }
-        output += "".padStart(largestAmount," ")+"\n";
-        for(let row=0; row<rows; row++){
-            output += ("").padStart(largestAmount,"-")+"+";
-            for(let column=0; column < columns; column++){
-                output += "".padStart(largestAmount,"-")+"+";
+    _getSingleLineHint(solver, grid){
+        for(let lineIndex=0; lineIndex<solver.lines.length; lineIndex++){
+            let line = solver.lines[lineIndex];
+            let values = line.cells.map(cell => grid[cell]);
+            let deducedValues = KakurasuSubsetEngine.analyseLine(line.weights, line.constraint, values);
+            if(!deducedValues){
+                continue;
             }
-            output += "".padStart(largestAmount,"-")+"\n";
-            output += (this.getWeight(row)+"").padStart(largestAmount," ")+"|";
-            for(let column=0; column < columns; column++){
-                let field = this.getField(row,column);
-                let icon = field.isSolution() ? "" : "";
-                if(field.isActive()){
-                    icon = "A";
+            for(let i=0; i<line.cells.length; i++){
+                if(values[i] !== deducedValues[i]){
+                    let hint = this._createHint(solver, line.cells[i], deducedValues[i], TECHNIQUE_SINGLE_LINE);
+                    hint.explanation = Kakurasu._getLineExplanation(line, values, i, deducedValues[i]);
+                    return hint;
                 }
-                if(field.isFlagged()){
-                    icon = "x";
-                }
-
-                output += icon.padStart(largestAmount," ")+"|";
             }
-            output += (this.getConstraintValueForRow(row)+"").padStart(largestAmount," ")+"\n";
         }
+        return null;
+    }
 
-        output += ("").padStart(largestAmount,"-")+"+";
-        for(let column=0; column < columns; column++){
-            output += "".padStart(largestAmount,"-")+"+";
-        }
-        output += "".padStart(largestAmount,"-")+"\n";
-        output += "".padStart(largestAmount," ")+"|";
-        for(let column=0; column < columns; column++){
-            output += (this.getConstraintValueForColumn(column)+"").padStart(largestAmount," ")+"|";
+    /**
+     * If no line forces a cell on its own, the first cell is searched for which one value leads to a line which can
+     * not be satisfied anymore
+     */
+    _getContradictionHint(solver, grid){
+        let assumptions = [SOLVER_CELL_ACTIVE, SOLVER_CELL_EMPTY];
+        for(let cell=0; cell<grid.length; cell++){
+            if(grid[cell] !== SOLVER_CELL_UNKNOWN){
+                continue;
+            }
+            for(let i=0; i<assumptions.length; i++){
+                let assumedGrid = grid.slice(0);
+                assumedGrid[cell] = assumptions[i];
+                if(!solver._propagate(assumedGrid, solver.linesOfCell[cell].slice(0))){
+                    let hint = this._createHint(solver, cell, assumptions[1-i], TECHNIQUE_TRIAL_AND_ERROR);
+                    let assumedAction = Kakurasu._getHintAction(assumptions[i]);
+                    let contradictedLine = solver.contradictedLine;
+                    let contradictedLineName = Kakurasu._getLineName(contradictedLine.forRow, contradictedLine.index);
+                    hint.explanation = {
+                        assumption: assumedAction,
+                        contradictedLine: {
+                            forRow: contradictedLine.forRow,
+                            index: contradictedLine.index,
+                            constraint: contradictedLine.constraint
+                        },
+                        text: "if row "+(hint.row+1)+", column "+(hint.column+1)+" is "+
+                            (assumedAction === HINT_ACTION_ACTIVATE ? "activated" : "flagged")+", "+
+                            contradictedLineName+" can not reach "+contradictedLine.constraint+" anymore"
+                    };
+                    return hint;
+                }
+            }
         }
-
-        return output;
+        return null;
     }
 
-}
+    _createHint(solver, cell, value, technique){
+        return {
+            row: Math.floor(cell/solver.amountColumns),
+            column: cell%solver.amountColumns,
+            action: Kakurasu._getHintAction(value),
+            technique: technique
+        };
+    }
 
-/**
- * A Field for the game Kakarasu
- */
+    static _getHintAction(value){
+        return value === SOLVER_CELL_ACTIVE ? HINT_ACTION_ACTIVATE : HINT_ACTION_FLAG;
+    }
 
-class KakurasuField {
+    static _getLineName(forRow, index){
+        return (forRow ? "row " : "column ")+(index+1);
+    }
 
     /**
-     * Constructor for a field
-     * @param state json [optional]
+     * Explains with all subsets of the open weights of a line, why a cell is forced
+     * @returns {{}} explanation with a human readable text
      */
-    constructor(state = {status: STATUS_CLEAR}) {
-        this.state = state;
-    }
+    static _getLineExplanation(line, values, position, value){
+        let openWeights = [];
+        for(let i=0; i<values.length; i++){
+            if(values[i] === SOLVER_CELL_UNKNOWN){
+                openWeights.push(line.weights[i]);
+            }
+        }
+        let remaining = KakurasuSubsetEngine.getRemainingConstraint(line.weights, line.constraint, values);
+        let amountSubsets = KakurasuSubsetEngine.countCompletions(line.weights, line.constraint, values);
+        let completions = amountSubsets <= HINT_MAX_LISTED_SUBSETS ?
+            KakurasuSubsetEngine.getCompletions(line.weights, line.constraint, values) : [];
+        let subsets = completions.map(completion => {
+            return line.weights.filter((weight, i) => values[i] === SOLVER_CELL_UNKNOWN && completion[i] === SOLVER_CELL_ACTIVE);
+        });
+        let weight = line.weights[position];
+        let lineName = Kakurasu._getLineName(line.forRow, line.index);
 
-    _reset(){
-        if(!this.isReadOnly()){
-            this.setStatus(STATUS_CLEAR);
+        let text = lineName+" needs "+line.constraint;
+        if(remaining !== line.constraint){
+            text += ", "+(line.constraint-remaining)+" of it is already active";
+        }
+        if(remaining === 0){
+            text += ", so "+weight+" is not needed anymore";
+        } else {
+            let subsetsText = amountSubsets === 1 ? "the only subset" : "all "+amountSubsets+" subsets";
+            let sumText = amountSubsets === 1 ? "sums" : "sum";
+            text += "; "+subsetsText+" of the open weights {"+openWeights.join(", ")+"} that "+sumText+" to "+remaining+" ";
+            if(value === SOLVER_CELL_ACTIVE){
+                text += amountSubsets === 1 ? "contains "+weight : "contain "+weight;
+            } else {
+                text += amountSubsets === 1 ? "does not contain "+weight : "do not contain "+weight;
+            }
         }
+
+        return {
+            forRow: line.forRow,
+            index: line.index,
+            constraint: line.constraint,
+            remaining: remaining,
+            weight: weight,
+            openWeights: openWeights,
+            amountSubsets: amountSubsets,
+            subsets: subsets,
+            text: text
+        };
     }
 
     /**
-     * Set the status of a field
+     * Get all mistakes of the player. Lines are listed, if their active fields already exceed the constraint or if the
+     * constraint can not be reached anymore with the fields which are not flagged. Fields are listed, if they are
+     * active but in no solution active or if they are flagged but in every solution active.
+     * @returns {{lines: [], fields: []}} lines {forRow, index, constraint, activeSum, reason} and fields
+     * {row, column, status, reason}
+     */
+    getConflicts(){
+        let conflicts = {
+            lines: [],
+            fields: []
+        };
+        let forRows = [true, false];
+        for(let i=0; i<forRows.length; i++){
+            let forRow = forRows[i];
+            let length = this._getAmountRowColumns(forRow);
+            for(let index=0; index<length; index++){
+                let lineConflict = this._getLineConflict(forRow, index);
+                if(!!lineConflict){
+                    conflicts.lines.push(lineConflict);
+                }
+            }
+        }
+        conflicts.fields = this._getFieldConflicts();
+        return conflicts;
+    }
+
+    _getLineConflict(forRow, index){
+        let fields = this._getFieldsInRowColumn(forRow, index);
+        let weights = [];
+        let values = [];
+        for(let i=0; i<fields.length; i++){
+            let field = fields[i];
+            weights.push(this._getWeightForField(forRow, field));
+            values.push(field.isActive() ? SOLVER_CELL_ACTIVE : field.isFlagged() ? SOLVER_CELL_EMPTY : SOLVER_CELL_UNKNOWN);
+        }
+        let constraint = this._getConstraintValue(forRow, index);
+        let activeSum = this._getRowColumnSumValue(forRow, index);
+        let reason = null;
+        if(activeSum > constraint){
+            reason = CONFLICT_EXCEEDED;
+        } else if(!KakurasuSubsetEngine.analyseLine(weights, constraint, values)){
+            reason = CONFLICT_NOT_REACHABLE;
+        }
+        if(!reason){
+            return null;
+        }
+        return {
+            forRow: forRow,
+            index: index,
+            constraint: constraint,
+            activeSum: activeSum,
+            reason: reason
+        };
+    }
+
+    /**
+     * Fields can only be checked, if all solutions are known. Without any solution the lines already show that the
+     * board can not be solved.
+     */
+    _getFieldConflicts(){
+        let fieldConflicts = [];
+        let result = this._getSolverResult();
+        if(!result.complete || result.solutions.length === 0){
+            return fieldConflicts;
+        }
+        let solutions = result.solutions;
+        let allFields = this.getFieldsAll();
+        for(let i=0; i<allFields.length; i++){
+            let field = allFields[i];
+            let activeInAnySolution = solutions.some(solution => solution[field.row][field.column]);
+            let activeInAllSolutions = solutions.every(solution => solution[field.row][field.column]);
+            let reason = null;
+            if(field.isActive() && !activeInAnySolution){
+                reason = CONFLICT_ACTIVE_NOT_IN_SOLUTION;
+            }
+            if(field.isFlagged() && activeInAllSolutions){
+                reason = CONFLICT_FLAGGED_IN_SOLUTION;
+            }
+            if(!!reason){
+                fieldConflicts.push({
+                    row: field.row,
+                    column: field.column,
+                    status: field.getStatus(),
+                    reason: reason
+                });
+            }
+        }
+        return fieldConflicts;
+    }
+
+    /**
+     * The solutions only depend on the constraints, so they are solved once per game. The search is limited, so
+     * games from other sources can not block it, an incomplete result without solutions means the solution is unknown.
+     */
+    _getSolverResult(){
+        if(!this.meta.solverResult){
+            let solver = new KakurasuSolver(this);
+            this.meta.solverResult = solver.solve({limit: CONFLICT_SOLUTION_LIMIT, maxNodes: CONFLICT_MAX_SOLVER_NODES});
+        }
+        return this.meta.solverResult;
+    }
+
+    /**
+     * Get all weights in a row/column which are part of every subset summing up to this specific row constraint.
+     * This does not mean, that they are part of the solution of the whole game
+     * @param forRow boolean if for row
+     * @param index the rowIndex / columnIndex
+     * @param withStatuses [optional] if active fields have to be and flagged fields can not be part of the subsets
+     * @returns {[]} list of all weights which are safe, empty if no subset sums up to the constraint
+     */
+    getAllDefinitelySolutionWeightsForRowColumn(forRow, index, withStatuses = false){
+        let weights = this._getAllWeightsForRowColumn(forRow, index);
+        let constraint = this._getConstraintValue(forRow, index);
+        let deducedValues = KakurasuSubsetEngine.analyseLine(weights, constraint, this._getLineValues(forRow, index, withStatuses));
+        if(deducedValues === null){
+            return [];
+        }
+        return weights.filter((weight, i) => deducedValues[i] === SOLVER_CELL_ACTIVE);
+    }
+
+    _getAllWeightsForRowColumn(forRow, index){
+        let fields = this._getFieldsInRowColumn(forRow, index);
+        let weights = [];
+        for(let i=0; i<fields.length; i++){
+            let field = fields[i];
+            let weight = this._getWeightForField(forRow, field);
+            weights.push(weight);
+        }
+        return weights;
+    }
+
+    /**
+     * @param withStatuses if active and flagged fields are fixed, otherwise all fields are unknown
+     * @returns {[]} the values of the fields for the KakurasuSubsetEngine
+     */
+    _getLineValues(forRow, index, withStatuses){
+        return this._getFieldsInRowColumn(forRow, index).map(field => {
+            if(!withStatuses){
+                return SOLVER_CELL_UNKNOWN;
+            }
+            return field.isActive() ? SOLVER_CELL_ACTIVE : field.isFlagged() ? SOLVER_CELL_EMPTY : SOLVER_CELL_UNKNOWN;
+        });
+    }
+
+    /**
+     * Gives all subsets of the weights summing up to this row/column constraint, BUT not all of them may be part of
+     * the solution for the whole game.
+     * @param forRow boolean if for row
+     * @param index the rowIndex / columnIndex
+     * @param withStatuses [optional] if active fields have to be and flagged fields can not be part of the subsets
+     * @returns {[]} list of subsets, every subset is a list of weights
+     */
+    getPossibleWeightSolutionSetsForRowColumn(forRow, index, withStatuses = false){
+        let weights = this._getAllWeightsForRowColumn(forRow, index);
+        let constraint = this._getConstraintValue(forRow, index);
+        return KakurasuSubsetEngine.getSubsets(weights, constraint, this._getLineValues(forRow, index, withStatuses));
+    }
+
+
+
+    /**
+     * DEBUGGING ! Print the field.
+     * @returns {string} string for the console with solutions as S labeld
+     */
+    print(){
+        let rows = this.getAmountRows();
+        let columns = this.getAmountColumns();
+        let largestWeightLength = 0;
+        for(let row=0; row<rows; row++){
+            largestWeightLength = Math.max(largestWeightLength, (this.getRowWeight(row)+"").length);
+        }
+        for(let column=0; column<columns; column++){
+            largestWeightLength = Math.max(largestWeightLength, (this.getColumnWeight(column)+"").length);
+        }
+        let largestConstraintLength = (this.getHighestConstraintValue()+"").length;
+        let largestAmount = largestWeightLength > largestConstraintLength ? largestWeightLength : largestConstraintLength;
+        let output = "".padStart(largestAmount," ")+"|";
+        for(let column=0; column < columns; column++){
+            output += (this.getColumnWeight(column)+"").padStart(largestAmount," ")+"|";
+        }
+        output += "".padStart(largestAmount," ")+"\n";
+        for(let row=0; row<rows; row++){
+            output += ("").padStart(largestAmount,"-")+"+";
+            for(let column=0; column < columns; column++){
+                output += "".padStart(largestAmount,"-")+"+";
+            }
+            output += "".padStart(largestAmount,"-")+"\n";
+            output += (this.getRowWeight(row)+"").padStart(largestAmount," ")+"|";
+            for(let column=0; column < columns; column++){
+                let field = this.getField(row,column);
+                let icon = field.isSolution() ? "" : "";
+                if(field.isActive()){
+                    icon = "A";
+                }
+                if(field.isFlagged()){
+                    icon = "x";
+                }
+
+                output += icon.padStart(largestAmount," ")+"|";
+            }
+            output += (this.getConstraintValueForRow(row)+"").padStart(largestAmount," ")+"\n";
+        }
+
+        output += ("").padStart(largestAmount,"-")+"+";
+        for(let column=0; column < columns; column++){
+            output += "".padStart(largestAmount,"-")+"+";
+        }
+        output += "".padStart(largestAmount,"-")+"\n";
+        output += "".padStart(largestAmount," ")+"|";
+        for(let column=0; column < columns; column++){
+            output += (this.getConstraintValueForColumn(column)+"").padStart(largestAmount," ")+"|";
+        }
+
+        return output;
+    }
+
+}
+
+/**
+ * A Field for the game Kakarasu
+ */
+
+class KakurasuField {
+
+    /**
+     * Constructor for a field
+     * @param state json [optional]
+     */
+    constructor(state = {status: STATUS_CLEAR}) {
+        this.state = state;
+    }
+
+    _reset(){
+        if(!this.isReadOnly()){
+            this.setStatus(STATUS_CLEAR);
+        }
+    }
+
+    /**
+     * Set the status of a field
      * @param status 0=Clear, 1=active, 2=flagged
      */
     setStatus(status){
@@ -806,6 +2084,34 @@ class KakurasuField {
         return this.state.solution;
     }
 
+    /**
+     * Set an own weight of the field, which is used for its row and its column instead of their weights
+     * @param weight the weight, null to use the weights of the row and column
+     */
+    setWeight(weight){
+        if(weight === null){
+            delete this.state.weight;
+        } else {
+            this.state.weight = weight;
+        }
+    }
+
+    /**
+     * Get the own weight of the field
+     * @returns {undefined|number} the weight, undefined if the field has no own weight
+     */
+    getWeight(){
+        return this.state.weight;
+    }
+
+    /**
+     * Checks if the field has an own weight
+     * @returns {boolean}
+     */
+    hasWeight(){
+        return this.state.weight !== undefined;
+    }
+
     /**
      * get the state of the field
      * @returns {{status: number},{solution: boolean},{readOnly: boolean}}
@@ -824,197 +2130,3244 @@ class KakurasuField {
 }
 
 /**
- * A level generator for the Kakarasu game
- * Generate a specific level by using a dict {fields: fields} as parameter for the kakarasu constructor
+ * Error for a game state which does not match the save format
  */
-class KakurasuLevelGenerator {
+class KakurasuStateError extends Error {
 
+    /**
+     * Constructor of the error
+     * @param errors list of all problems found in the state
+     */
+    constructor(errors) {
+        super("Invalid Kakurasu state: "+errors.join("; "));
+        Object.setPrototypeOf(this, KakurasuStateError.prototype);
+        this.name = "KakurasuStateError";
+        this.errors = errors;
+    }
+}
 
+class KakurasuParseError extends Error {
 
-    //generate easy/medium/hard
-    //generate AxB
     /**
-     * Generate a new level
-     * @param config {rows: amountRows, columns: amountColumns, [amountMinimumInRow: amountMinimumInRow], [amountMaximumInRow: amountMaximumInRow], [amountMinimumInColumn: amountMinimumInColumn], [amountMaximumInColumn, amountMaximumInColumn]}
-     * @returns {{}} fields for the kakarasu constructor {fields: fields}
+     * Constructor of the error
+     * @param reason what is wrong with the puzzle
+     * @param line the line of the problem, starting at 1
+     * @param column the character of the problem in the line, starting at 1
      */
-    static generateLevel(config){
-        config = config || {};
-        config.rows = config.rows || 5;
-        config.columns = config.columns || config.rows;
-        config.difficulty = config.difficulty || "medium";
-        config.amountMinimumInRow = config.amountMinimumInRow || 1;
-        config.amountMaximumInRow = config.amountMaximumInRow || config.rows/2;
-        config.amountMinimumInColumn = config.amountMinimumInColumn || 1;
-        config.amountMaximumInColumn = config.amountMaximumInColumn || config.columns/2;
+    constructor(reason, line, column) {
+        super("Invalid puzzle at line "+line+", column "+column+": "+reason);
+        Object.setPrototypeOf(this, KakurasuParseError.prototype);
+        this.name = "KakurasuParseError";
+        this.reason = reason;
+        this.line = line;
+        this.column = column;
+    }
+}
 
+/**
+ * The versioned save format of a Kakarasu game, see the README for a description of every version.
+ * States of older versions are migrated step by step to the current version.
+ */
+class KakurasuSaveFormat {
 
-        if(config.amountMinimumInRow<0){
-            config.amountMinimumInRow = 0;
+    /**
+     * Migrates and validates a state
+     * @param state json state of a game
+     * @returns {{}} the state in the current version
+     */
+    static load(state){
+        let migratedState = KakurasuSaveFormat.migrate(state);
+        let errors = KakurasuSaveFormat.validate(migratedState);
+        if(errors.length > 0){
+            throw new KakurasuStateError(errors);
         }
-        if(config.amountMinimumInRow>config.rows){
-            config.amountMinimumInRow = config.rows;
+        return migratedState;
+    }
+
+    /**
+     * Migrates a state of an older version to the current version, states without version are version 1
+     * @param state json state of a game
+     * @returns {{}} a shallow copy of the state in the current version
+     */
+    static migrate(state){
+        if(!state || typeof state !== "object"){
+            throw new KakurasuStateError(["state has to be an object"]);
         }
-        if(config.amountMaximumInRow>config.rows){
-            config.amountMaximumInRow = config.rows;
+        let migratedState = Object.assign({}, state);
+        migratedState.version = migratedState.version === undefined ? 1 : migratedState.version;
+        if(!Number.isInteger(migratedState.version) || migratedState.version < 1){
+            throw new KakurasuStateError(["version "+migratedState.version+" is not a valid version"]);
         }
-        if(config.amountMaximumInRow<0){
-            config.amountMaximumInRow = 0;
+        if(migratedState.version > SAVE_FORMAT_VERSION){
+            throw new KakurasuStateError(["version "+migratedState.version+" is newer than the supported version "+SAVE_FORMAT_VERSION]);
         }
-        if(config.amountMaximumInRow<config.amountMinimumInRow){
-            config.amountMaximumInRow = config.amountMinimumInRow;
+        while(migratedState.version < SAVE_FORMAT_VERSION){
+            migratedState = KakurasuSaveFormat._migrations[migratedState.version](migratedState);
         }
+        return migratedState;
+    }
 
-
-        if(config.amountMinimumInColumn<0){
-            config.amountMinimumInColumn = 0;
-        }
-        if(config.amountMinimumInColumn>config.columns){
-            config.amountMinimumInColumn = config.columns;
-        }
-        if(config.amountMaximumInColumn>config.columns){
-            config.amountMaximumInColumn = config.columns;
+    /**
+     * Validates a state of the current version
+     * @param state json state of a game
+     * @returns {[]} list of all problems, empty if the state is valid
+     */
+    static validate(state){
+        let errors = [];
+        if(!state || typeof state !== "object"){
+            return ["state has to be an object"];
         }
-        if(config.amountMaximumInColumn<0){
-            config.amountMaximumInColumn = 0;
+        if(state.version !== SAVE_FORMAT_VERSION){
+            errors.push("version has to be "+SAVE_FORMAT_VERSION);
         }
-        if(config.amountMaximumInColumn<config.amountMinimumInColumn){
-            config.amountMaximumInColumn = config.amountMinimumInColumn;
+        let dimensions = KakurasuSaveFormat._validateFields(state.fields, errors);
+        KakurasuSaveFormat._validateMoveHistory(state, dimensions, errors);
+        KakurasuSaveFormat._validateMoveTree(state, dimensions, errors);
+        KakurasuSaveFormat._validateConstraints(state.constraints, dimensions, errors);
+        KakurasuSaveFormat._validateStatistics(state.statistics, errors);
+        KakurasuSaveFormat._validateWeights(state.weights, dimensions, errors);
+        KakurasuSaveFormat._validateAssists(state.assists, errors);
+        if(state.generator !== undefined && (state.generator === null || typeof state.generator !== "object")){
+            errors.push("generator has to be an object");
         }
-
-        let fields = KakurasuLevelGenerator._initEmptyField(config.rows,config.columns);
-        fields = KakurasuLevelGenerator._setSolutionFieldsForRowColumn(true, fields, config);
-        fields = KakurasuLevelGenerator._setSolutionFieldsForRowColumn(false, fields, config);
-
-        return Kakurasu._fieldsAsJSON(fields);
+        return errors;
     }
 
-    static _setSolutionFieldsForRowColumn(forRow, fields, config){
-        let outerLength = forRow ? config.rows : config.columns;
-        for(let outerIndex=0; outerIndex<outerLength; outerIndex++){
-            let solutionIndexes = [];
-            if(forRow){
-                solutionIndexes = KakurasuLevelGenerator._selectRandomAmountIndexes(config.columns, config.amountMinimumInColumn, config.amountMaximumInColumn);
-            } else {
-                solutionIndexes = KakurasuLevelGenerator._selectRandomAmountIndexes(config.rows, config.amountMinimumInRow, config.amountMaximumInRow);
-            }
-            for(let i=0; i<solutionIndexes.length; i++){
-                let solutionIndex = solutionIndexes[i];
-                let row = forRow ? outerIndex : solutionIndex;
-                let column = forRow ? solutionIndex : outerIndex;
-
-                let fieldKey = Kakurasu._getFieldKey(row,column);
-                let field = fields[fieldKey];
-                field.setIsSolution(true);
-                fields[fieldKey] = field;
+    /**
+     * @returns {{rows: number, columns: number}} the dimensions given by the field keys
+     */
+    static _validateFields(fields, errors){
+        let dimensions = {rows: 0, columns: 0};
+        if(!fields || typeof fields !== "object" || Object.keys(fields).length === 0){
+            errors.push("fields have to be an object with at least one field");
+            return dimensions;
+        }
+        let fieldKeys = Object.keys(fields);
+        for(let i=0; i<fieldKeys.length; i++){
+            let fieldKey = fieldKeys[i];
+            let match = SAVE_FORMAT_FIELD_KEY.exec(fieldKey);
+            if(!match){
+                errors.push("field key "+fieldKey+" has to be \"row"+_FIELD_KEY_SEPERATOR+"column\"");
+                continue;
             }
+            dimensions.rows = Math.max(dimensions.rows, parseInt(match[1])+1);
+            dimensions.columns = Math.max(dimensions.columns, parseInt(match[2])+1);
+            KakurasuSaveFormat._validateField(fieldKey, fields[fieldKey], errors);
         }
-        return fields;
-    }
-
-    static _initEmptyField(rows, columns){
-        let fields = {};
-
-        for(let y=0; y<rows; y++){
-            let row = y;
-            for(let x=0; x<columns; x++){
-                let column = x;
-                let fieldKey = Kakurasu._getFieldKey(row,column);
-                fields[fieldKey] = new KakurasuField();
+        for(let row=0; row<dimensions.rows; row++){
+            for(let column=0; column<dimensions.columns; column++){
+                if(!fields[Kakurasu._getFieldKey(row, column)]){
+                    errors.push("field "+Kakurasu._getFieldKey(row, column)+" is missing");
+                }
             }
         }
-        return fields;
+        return dimensions;
     }
 
-    static _selectRandomAmountIndexes(maxAmount, amountMinimalSelectedIndex, amountMaximalSelectedIndex){
-        let amountToSelect = KakurasuLevelGenerator._getRandomInt(amountMinimalSelectedIndex,amountMaximalSelectedIndex);
-        let indexArray = Array.from(Array(maxAmount).keys()); // 10 => [0, 1, 2, 3, 4, 5, 6, 7, 8, 9]
-        let shuffledArray = KakurasuLevelGenerator._shuffle(indexArray);
-        let selectedArray = [];
-        for(let i=0; i<amountToSelect; i++){
-            selectedArray.push(shuffledArray[i]);
+    static _validateField(fieldKey, field, errors){
+        if(!field || typeof field !== "object"){
+            errors.push("field "+fieldKey+" has to be an object");
+            return;
+        }
+        if(!KakurasuSaveFormat._isStatus(field.status)){
+            errors.push("field "+fieldKey+" has an unknown status "+field.status);
+        }
+        if(field.solution !== undefined && typeof field.solution !== "boolean"){
+            errors.push("field "+fieldKey+" solution has to be a boolean");
+        }
+        if(field.readOnly !== undefined && typeof field.readOnly !== "boolean"){
+            errors.push("field "+fieldKey+" readOnly has to be a boolean");
+        }
+        if(field.weight !== undefined && !KakurasuSaveFormat._isWeight(field.weight)){
+            errors.push("field "+fieldKey+" weight has to be a positive integer up to "+SAVE_FORMAT_MAX_WEIGHT);
         }
-        return selectedArray;
     }
 
+    static _validateMoveHistory(state, dimensions, errors){
+        if(!Array.isArray(state.moveHistory)){
+            errors.push("moveHistory has to be a list");
+            return;
+        }
+        for(let i=0; i<state.moveHistory.length; i++){
+            KakurasuSaveFormat._validateMove(state.moveHistory[i], "move "+i, dimensions, errors);
+        }
+        let currentMoveIndex = state.currentMoveIndex;
+        if(currentMoveIndex !== null && !(Number.isInteger(currentMoveIndex) && currentMoveIndex >= 0 && currentMoveIndex < state.moveHistory.length)){
+            errors.push("currentMoveIndex "+currentMoveIndex+" has to be null or between 0 and "+(state.moveHistory.length-1));
+        }
+    }
+
+    static _validateMoveTree(state, dimensions, errors){
+        let moveTree = state.moveTree;
+        if(!moveTree || typeof moveTree !== "object" || !Array.isArray(moveTree.nodes) || !Array.isArray(moveTree.activeBranch)){
+            errors.push("moveTree has to be an object with a list of nodes and the activeBranch");
+            return;
+        }
+        let nodes = moveTree.nodes;
+        for(let i=0; i<nodes.length; i++){
+            let node = nodes[i];
+            if(!node || typeof node !== "object"){
+                errors.push("moveTree node "+i+" has to be an object");
+                continue;
+            }
+            if(node.parent !== null && !(Number.isInteger(node.parent) && node.parent >= 0 && node.parent < i)){
+                errors.push("moveTree node "+i+" has to have null or a previous node as parent");
+            }
+            KakurasuSaveFormat._validateMove(node.move, "moveTree node "+i+" move", dimensions, errors);
+        }
+        let activeBranch = moveTree.activeBranch;
+        if(Array.isArray(state.moveHistory) && activeBranch.length !== state.moveHistory.length){
+            errors.push("moveTree activeBranch has to contain a node for every move of the moveHistory");
+        }
+        for(let i=0; i<activeBranch.length; i++){
+            let node = nodes[activeBranch[i]];
+            let parent = i > 0 ? activeBranch[i-1] : null;
+            if(!Number.isInteger(activeBranch[i]) || !node || node.parent !== parent){
+                errors.push("moveTree activeBranch node "+i+" has to be a child of the previous node");
+            }
+        }
+        if(!moveTree.checkpoints || typeof moveTree.checkpoints !== "object"){
+            errors.push("moveTree checkpoints have to be an object");
+            return;
+        }
+        let names = Object.keys(moveTree.checkpoints);
+        for(let i=0; i<names.length; i++){
+            let node = moveTree.checkpoints[names[i]];
+            if(node !== null && !(Number.isInteger(node) && node >= 0 && node < nodes.length)){
+                errors.push("moveTree checkpoint "+names[i]+" has to be null or a node");
+            }
+        }
+    }
+
+    static _validateMove(move, name, dimensions, errors){
+        if(!move || typeof move !== "object"){
+            errors.push(name+" has to be an object");
+            return;
+        }
+        if(move.time !== undefined && !(Number.isInteger(move.time) && move.time >= 0)){
+            errors.push(name+" time has to be a timestamp in milliseconds");
+        }
+        if(move.assist !== undefined && ASSIST_MOVE_TYPES.indexOf(move.assist) < 0){
+            errors.push(name+" has an unknown assist "+move.assist+", use one of "+ASSIST_MOVE_TYPES.join(", "));
+        }
+        if(move.moves !== undefined){
+            if(!Array.isArray(move.moves) || move.moves.length === 0){
+                errors.push(name+" moves have to be a list with at least one move");
+                return;
+            }
+            for(let i=0; i<move.moves.length; i++){
+                KakurasuSaveFormat._validateFieldMove(move.moves[i], name+" move "+i, dimensions, errors);
+            }
+            return;
+        }
+        KakurasuSaveFormat._validateFieldMove(move, name, dimensions, errors);
+    }
+
+    static _validateFieldMove(move, name, dimensions, errors){
+        if(!move || typeof move !== "object"){
+            errors.push(name+" has to be an object");
+            return;
+        }
+        if(!Number.isInteger(move.row) || move.row < 0 || move.row >= dimensions.rows){
+            errors.push(name+" has an invalid row "+move.row);
+        }
+        if(!Number.isInteger(move.column) || move.column < 0 || move.column >= dimensions.columns){
+            errors.push(name+" has an invalid column "+move.column);
+        }
+        if(!KakurasuSaveFormat._isStatus(move.previousStatus)){
+            errors.push(name+" has an unknown previousStatus "+move.previousStatus);
+        }
+        if(!KakurasuSaveFormat._isStatus(move.nextStatus)){
+            errors.push(name+" has an unknown nextStatus "+move.nextStatus);
+        }
+    }
+
+    static _validateConstraints(constraints, dimensions, errors){
+        if(constraints === undefined){
+            return;
+        }
+        if(!constraints || typeof constraints !== "object"){
+            errors.push("constraints have to be an object");
+            return;
+        }
+        let lines = {rows: dimensions.rows, columns: dimensions.columns};
+        let lineKeys = Object.keys(lines);
+        for(let i=0; i<lineKeys.length; i++){
+            let lineKey = lineKeys[i];
+            let values = constraints[lineKey];
+            if(!Array.isArray(values) || values.length !== lines[lineKey]){
+                errors.push("constraints "+lineKey+" has to be a list of "+lines[lineKey]+" values");
+                continue;
+            }
+            for(let j=0; j<values.length; j++){
+                if(!Number.isInteger(values[j]) || values[j] < 0 || values[j] > SAVE_FORMAT_MAX_CONSTRAINT){
+                    errors.push("constraints "+lineKey+" value "+j+" has to be a non negative integer up to "+SAVE_FORMAT_MAX_CONSTRAINT);
+                }
+            }
+        }
+    }
+
+    static _validateStatistics(statistics, errors){
+        if(!statistics || typeof statistics !== "object"){
+            errors.push("statistics have to be an object");
+            return;
+        }
+        let counters = ["elapsedTime", "moves", "assistedMoves", "hints", "undos", "mistakes"];
+        for(let i=0; i<counters.length; i++){
+            let value = statistics[counters[i]];
+            if(!Number.isInteger(value) || value < 0){
+                errors.push("statistics "+counters[i]+" has to be a non negative integer");
+            }
+        }
+        if(typeof statistics.paused !== "boolean"){
+            errors.push("statistics paused has to be a boolean");
+        }
+        if(statistics.score !== null && !(Number.isInteger(statistics.score) && statistics.score >= 0)){
+            errors.push("statistics score has to be null or a non negative integer");
+        }
+    }
+
+    static _validateWeights(weights, dimensions, errors){
+        if(weights === undefined){
+            return;
+        }
+        if(!weights || typeof weights !== "object"){
+            errors.push("weights have to be an object");
+            return;
+        }
+        let lines = {rows: dimensions.rows, columns: dimensions.columns};
+        let lineKeys = Object.keys(lines);
+        for(let i=0; i<lineKeys.length; i++){
+            let lineKey = lineKeys[i];
+            let values = weights[lineKey];
+            if(!Array.isArray(values) || values.length !== lines[lineKey]){
+                errors.push("weights "+lineKey+" has to be a list of "+lines[lineKey]+" values");
+                continue;
+            }
+            for(let j=0; j<values.length; j++){
+                if(!KakurasuSaveFormat._isWeight(values[j])){
+                    errors.push("weights "+lineKey+" value "+j+" has to be a positive integer up to "+SAVE_FORMAT_MAX_WEIGHT);
+                }
+            }
+        }
+    }
+
+    static _validateAssists(assists, errors){
+        if(assists === undefined){
+            return;
+        }
+        if(!assists || typeof assists !== "object"){
+            errors.push("assists have to be an object");
+            return;
+        }
+        let assistKeys = Object.keys(assists);
+        for(let i=0; i<assistKeys.length; i++){
+            if(ASSISTS.indexOf(assistKeys[i]) < 0){
+                errors.push("assists contain the unknown assist "+assistKeys[i]);
+            } else if(typeof assists[assistKeys[i]] !== "boolean"){
+                errors.push("assists "+assistKeys[i]+" has to be a boolean");
+            }
+        }
+    }
+
+    static _isWeight(weight){
+        return Number.isInteger(weight) && weight > 0 && weight <= SAVE_FORMAT_MAX_WEIGHT;
+    }
+
+    static _isStatus(status){
+        return status === STATUS_CLEAR || status === STATUS_ACTIVE || status === STATUS_FLAGGED;
+    }
+
+}
+
+/**
+ * Migrations from a version to the next version
+ */
+KakurasuSaveFormat._migrations = {
     /**
-     * Returns a random integer between min (inclusive) and max (inclusive).
-     * The value is no lower than min (or the next integer greater than min
-     * if min isn't an integer) and no greater than max (or the next integer
-     * lower than max if max isn't an integer).
-     * Using Math.round() will give you a non-uniform distribution!
+     * Version 1 had no version, moveHistory and currentMoveIndex were optional and there were no moveTree and no
+     * statistics. The moveHistory becomes the only branch of the moveTree, the statistics start with its amount of
+     * moves.
      */
-    static _getRandomInt(min, max) {
-        min = Math.ceil(min);
-        max = Math.floor(max);
-        return Math.floor(Math.random() * (max - min + 1)) + min;
+    1: (state) => {
+        state.moveHistory = state.moveHistory || [];
+        if(state.currentMoveIndex === undefined){
+            state.currentMoveIndex = state.moveHistory.length > 0 ? state.moveHistory.length-1 : null;
+        }
+        state.moveTree = {
+            nodes: state.moveHistory.map((move, index) => {
+                return {parent: index > 0 ? index-1 : null, move: JSON.parse(JSON.stringify(move))};
+            }),
+            activeBranch: state.moveHistory.map((move, index) => index),
+            checkpoints: {}
+        };
+        state.statistics = Kakurasu._getCleanStatistics();
+        state.statistics.moves = state.moveHistory.length;
+        state.version = 2;
+        return state;
     }
+};
+
+/**
+ * Compact share codes of a Kakarasu puzzle, which can be used in an url or a chat message.
+ * A code contains the dimensions and the row and column constraints, e.g. "k1.3x3.4-2-5.1-5-4", optionally followed by
+ * the weights ("w"), the givens ("g"), the seed of the generator ("s" for numbers, "t" for text) with its config ("c")
+ * and the progress ("p").
+ * Weights of single fields can not be encoded.
+ * The solution is not part of the code, a decoded puzzle gets its solution from the solver (see fromConstraints).
+ */
+class KakurasuShareCode {
 
     /**
-     * Shuffles array in place.
-     * @param {Array} a items An array containing the items.
+     * Encodes a game as share code
+     * @param game the Kakurasu game
+     * @param options {[seed: boolean include the seed and the config of the generator, default false, with the seed
+     * the level and its solution can be generated again], [progress: boolean include the status of all fields, default
+     * false]}
+     * @returns {string} the share code
      */
-    static _shuffle(a) {
-        var j, x, i;
-        for (i = a.length - 1; i > 0; i--) {
-            j = Math.floor(Math.random() * (i + 1));
-            x = a[i];
-            a[i] = a[j];
-            a[j] = x;
+    static encode(game, options = {}){
+        let includeSeed = options.seed === true;
+        let includeProgress = options.progress === true;
+        let rows = game.getAmountRows();
+        let columns = game.getAmountColumns();
+        let rowConstraints = [];
+        let columnConstraints = [];
+        for(let row=0; row<rows; row++){
+            rowConstraints.push(game.getConstraintValueForRow(row));
         }
-        return a;
+        for(let column=0; column<columns; column++){
+            columnConstraints.push(game.getConstraintValueForColumn(column));
+        }
+        let parts = [
+            SHARE_CODE_PREFIX,
+            rows+SHARE_CODE_SIZE_SEPERATOR+columns,
+            KakurasuShareCode._encodeNumbers(rowConstraints),
+            KakurasuShareCode._encodeNumbers(columnConstraints)
+        ];
+
+        if(!!game.state.weights){
+            parts.push(SHARE_CODE_PART_WEIGHTS+KakurasuShareCode._encodeNumbers(game.state.weights.rows)+
+                SHARE_CODE_WEIGHTS_SEPERATOR+KakurasuShareCode._encodeNumbers(game.state.weights.columns));
+        }
+
+        let givens = [];
+        let progress = [];
+        let hasGivens = false;
+        let fields = game.getFieldsAll();
+        for(let i=0; i<fields.length; i++){
+            let field = fields[i];
+            if(field.hasWeight()){
+                throw new Error("Games with weights of single fields can not be encoded as share code");
+            }
+            let isGiven = field.isReadOnly() && !field.isClear();
+            hasGivens = hasGivens || isGiven;
+            givens.push(isGiven ? field.getStatus() : STATUS_CLEAR);
+            progress.push(field.getStatus());
+        }
+        if(hasGivens){
+            parts.push(SHARE_CODE_PART_GIVENS+KakurasuShareCode._encodeStatuses(givens));
+        }
+        let config = !!game.state.generator && !!game.state.generator.config ? game.state.generator.config : {};
+        let seed = config.seed;
+        if(includeSeed && seed !== undefined && seed !== null){
+            if(Number.isInteger(seed) && seed >= 0){
+                parts.push(SHARE_CODE_PART_SEED+seed.toString(SHARE_CODE_RADIX));
+            } else {
+                let codePoints = Array.from(String(seed)).map(character => character.codePointAt(0));
+                parts.push(SHARE_CODE_PART_TEXT_SEED+KakurasuShareCode._encodeNumbers(codePoints));
+            }
+            let configValues = KakurasuShareCode._getConfigValues(config);
+            if(configValues !== null){
+                parts.push(SHARE_CODE_PART_CONFIG+KakurasuShareCode._encodeNumbers(configValues));
+            }
+        }
+        if(includeProgress){
+            parts.push(SHARE_CODE_PART_PROGRESS+KakurasuShareCode._encodeStatuses(progress));
+        }
+        return parts.join(SHARE_CODE_SEPERATOR);
+    }
+
+    /**
+     * Creates an url to share a game, the code is added as query parameter "puzzle"
+     * @param game the Kakurasu game
+     * @param baseUrl the url of the page which decodes the puzzle
+     * @param options see encode
+     * @returns {string} the url
+     */
+    static toURL(game, baseUrl, options){
+        let seperator = baseUrl.indexOf("?") >= 0 ? "&" : "?";
+        return baseUrl+seperator+SHARE_CODE_URL_PARAMETER+"="+KakurasuShareCode.encode(game, options);
+    }
+
+    /**
+     * Decodes a share code into a new game
+     * @param text the share code or an url containing the code as query parameter "puzzle"
+     * @returns {Kakurasu} the game with the constraints of the code and without a predefined solution
+     */
+    static decode(text){
+        let code = KakurasuShareCode._getCodeFromText(text);
+        let parts = code.split(SHARE_CODE_SEPERATOR);
+        if(parts.length < 4 || parts[0] !== SHARE_CODE_PREFIX){
+            throw KakurasuShareCode._createError("it has to start with "+SHARE_CODE_PREFIX+" followed by the size and the constraints");
+        }
+        let size = SHARE_CODE_SIZE.exec(parts[1]);
+        let rows = !!size ? parseInt(size[1]) : 0;
+        let columns = !!size ? parseInt(size[2]) : 0;
+        if(rows < 1 || columns < 1 || rows > SHARE_CODE_MAX_SIZE || columns > SHARE_CODE_MAX_SIZE){
+            throw KakurasuShareCode._createError("size "+parts[1]+" has to be between 1x1 and "+SHARE_CODE_MAX_SIZE+"x"+SHARE_CODE_MAX_SIZE);
+        }
+        let constraints = {
+            rows: KakurasuShareCode._decodeNumbers(parts[2], rows, "row constraint", SAVE_FORMAT_MAX_CONSTRAINT),
+            columns: KakurasuShareCode._decodeNumbers(parts[3], columns, "column constraint", SAVE_FORMAT_MAX_CONSTRAINT)
+        };
+
+        let weights = null;
+        let givens = null;
+        let progress = null;
+        let seed = undefined;
+        let configValues = null;
+        for(let i=4; i<parts.length; i++){
+            let type = parts[i].charAt(0);
+            let value = parts[i].slice(1);
+            switch(type){
+                case SHARE_CODE_PART_WEIGHTS: {
+                    let weightParts = value.split(SHARE_CODE_WEIGHTS_SEPERATOR);
+                    weights = {
+                        rows: KakurasuShareCode._decodeNumbers(weightParts[0], rows, "row weight", SAVE_FORMAT_MAX_WEIGHT),
+                        columns: KakurasuShareCode._decodeNumbers(weightParts[1] || "", columns, "column weight", SAVE_FORMAT_MAX_WEIGHT)
+                    };
+                    break;
+                }
+                case SHARE_CODE_PART_GIVENS:
+                    givens = KakurasuShareCode._decodeStatuses(value, rows*columns, "givens");
+                    break;
+                case SHARE_CODE_PART_SEED:
+                    seed = KakurasuShareCode._decodeNumbers(value, 1, "seed")[0];
+                    break;
+                case SHARE_CODE_PART_TEXT_SEED: {
+                    let codePoints = KakurasuShareCode._decodeNumbers(value, null, "seed");
+                    seed = codePoints.map(codePoint => String.fromCodePoint(codePoint)).join("");
+                    break;
+                }
+                case SHARE_CODE_PART_CONFIG:
+                    configValues = KakurasuShareCode._decodeNumbers(value, SHARE_CODE_CONFIG_KEYS.length, "config");
+                    break;
+                case SHARE_CODE_PART_PROGRESS:
+                    progress = KakurasuShareCode._decodeStatuses(value, rows*columns, "progress");
+                    break;
+                default:
+                    throw KakurasuShareCode._createError("unknown part "+parts[i]);
+            }
+        }
+
+        let fields = KakurasuLevelGenerator._initEmptyField(rows, columns);
+        if(givens !== null){
+            for(let i=0; i<givens.length; i++){
+                if(givens[i] !== STATUS_CLEAR){
+                    let field = fields[Kakurasu._getFieldKey(Math.floor(i/columns), i%columns)];
+                    field.setStatus(givens[i]);
+                    field.setReadOnly(true);
+                }
+            }
+        }
+        let state = {fields: Kakurasu._fieldsAsJSON(fields), constraints: constraints};
+        if(weights !== null){
+            state.weights = weights;
+        }
+        if(seed !== undefined){
+            state.generator = {config: KakurasuShareCode._createConfig(rows, columns, seed, weights, configValues)};
+        }
+        let game = new Kakurasu(state);
+        let result = game._getSolverResult();
+        if(result.solutions.length === 0){
+            throw KakurasuShareCode._createError(result.complete ? "the puzzle has no solution" : "no solution was found within the search limit");
+        }
+        if(progress !== null){
+            let fieldsAll = game.getFieldsAll();
+            for(let i=0; i<fieldsAll.length; i++){
+                if(!fieldsAll[i].isReadOnly()){
+                    fieldsAll[i].setStatus(progress[i]);
+                }
+            }
+        }
+        return game;
+    }
+
+    /**
+     * The generator only uses whole amounts of fields, so the amounts are rounded like the generator does
+     * @returns {null|[]} the values of SHARE_CODE_CONFIG_KEYS, null if the config is incomplete
+     */
+    static _getConfigValues(config){
+        let values = [
+            GRADER_DIFFICULTIES.indexOf(config.difficulty)+1,
+            config.unique === false ? 0 : 1,
+            config.maxAttempts,
+            Math.ceil(config.amountMinimumInRow),
+            Math.floor(config.amountMaximumInRow),
+            Math.ceil(config.amountMinimumInColumn),
+            Math.floor(config.amountMaximumInColumn)
+        ];
+        return values.every(value => Number.isInteger(value) && value >= 0) ? values : null;
+    }
+
+    /**
+     * @returns {{}} the config of the generator, which generates the level again
+     */
+    static _createConfig(rows, columns, seed, weights, configValues){
+        let config = {rows: rows, columns: columns, seed: seed};
+        if(weights !== null){
+            config.weights = {rows: weights.rows.slice(), columns: weights.columns.slice()};
+        }
+        if(configValues !== null){
+            for(let i=0; i<SHARE_CODE_CONFIG_KEYS.length; i++){
+                config[SHARE_CODE_CONFIG_KEYS[i]] = configValues[i];
+            }
+            if(config.difficulty > GRADER_DIFFICULTIES.length){
+                throw KakurasuShareCode._createError("the config part contains an unknown difficulty");
+            }
+            config.difficulty = config.difficulty > 0 ? GRADER_DIFFICULTIES[config.difficulty-1] : null;
+            config.unique = config.unique === 1;
+        }
+        return config;
+    }
+
+    static _getCodeFromText(text){
+        if(typeof text !== "string"){
+            throw KakurasuShareCode._createError("it has to be a string");
+        }
+        let urlParameter = SHARE_CODE_URL_PARAMETER_PATTERN.exec(text);
+        return !!urlParameter ? urlParameter[1] : text.trim();
+    }
+
+    static _createError(reason){
+        return new Error("Invalid share code: "+reason);
+    }
+
+    static _encodeNumbers(numbers){
+        return numbers.map(number => number.toString(SHARE_CODE_RADIX)).join(SHARE_CODE_LIST_SEPERATOR);
+    }
+
+    /**
+     * @param value the encoded numbers
+     * @param amount the expected amount of numbers or null for any amount
+     * @param name the name of the part for the error message
+     * @param max [optional] the highest allowed number
+     */
+    static _decodeNumbers(value, amount, name, max = Infinity){
+        let encodedNumbers = value.split(SHARE_CODE_LIST_SEPERATOR);
+        if(amount !== null && encodedNumbers.length !== amount){
+            throw KakurasuShareCode._createError("the "+name+" part has to be "+amount+" values seperated by "+SHARE_CODE_LIST_SEPERATOR);
+        }
+        let numbers = [];
+        for(let i=0; i<encodedNumbers.length; i++){
+            if(!SHARE_CODE_NUMBER.test(encodedNumbers[i])){
+                throw KakurasuShareCode._createError("the "+name+" part contains an invalid value "+encodedNumbers[i]);
+            }
+            let number = parseInt(encodedNumbers[i], SHARE_CODE_RADIX);
+            if(number > max){
+                throw KakurasuShareCode._createError("the "+name+" part contains the value "+number+", it has to be at most "+max);
+            }
+            numbers.push(number);
+        }
+        return numbers;
+    }
+
+    /**
+     * Statuses are encoded as digits to the base 3, three statuses are combined to one character
+     */
+    static _encodeStatuses(statuses){
+        let code = "";
+        for(let i=0; i<statuses.length; i+=SHARE_CODE_STATUSES_PER_CHARACTER){
+            let value = 0;
+            for(let j=0; j<SHARE_CODE_STATUSES_PER_CHARACTER; j++){
+                value = value*SHARE_CODE_AMOUNT_STATUSES+(statuses[i+j] || STATUS_CLEAR);
+            }
+            code += value.toString(SHARE_CODE_RADIX);
+        }
+        return code;
+    }
+
+    static _decodeStatuses(value, amount, name){
+        if(value.length !== Math.ceil(amount/SHARE_CODE_STATUSES_PER_CHARACTER)){
+            throw KakurasuShareCode._createError("the "+name+" part has to be "+Math.ceil(amount/SHARE_CODE_STATUSES_PER_CHARACTER)+" characters");
+        }
+        let statuses = [];
+        for(let i=0; i<value.length; i++){
+            let combined = parseInt(value.charAt(i), SHARE_CODE_RADIX);
+            if(isNaN(combined) || combined >= Math.pow(SHARE_CODE_AMOUNT_STATUSES, SHARE_CODE_STATUSES_PER_CHARACTER)){
+                throw KakurasuShareCode._createError("the "+name+" part contains an invalid character "+value.charAt(i));
+            }
+            for(let j=SHARE_CODE_STATUSES_PER_CHARACTER-1; j>=0; j--){
+                statuses.push(Math.floor(combined/Math.pow(SHARE_CODE_AMOUNT_STATUSES, j))%SHARE_CODE_AMOUNT_STATUSES);
+            }
+        }
+        return statuses.slice(0, amount);
+    }
+
+}
+
+/**
+ * Plain text format of a puzzle as written by Kakurasu.print(): the column weights in the first line, then every row
+ * with its weight, the fields and its constraint, and the column constraints in the last line. Cells are seperated
+ * by "|", active fields are "A", flagged fields "x", lines of "-" and "+" are ignored.
+ */
+class KakurasuTextFormat {
+
+    /**
+     * @param game the Kakurasu game
+     * @returns {string} the puzzle and the status of all fields as text
+     */
+    static format(game){
+        FormatHelper.checkExportable(game, "text");
+        return game.print();
+    }
+
+    /**
+     * @param text the puzzle as text
+     * @returns {Kakurasu} the game with the constraints, weights and field statuses of the text
+     * @throws KakurasuParseError with the line and column of the first problem
+     */
+    static parse(text){
+        let lines = [];
+        let textLines = FormatHelper.splitLines(text);
+        for(let i=0; i<textLines.length; i++){
+            if(textLines[i].trim() !== "" && !TEXT_FORMAT_BORDER_LINE.test(textLines[i])){
+                lines.push(FormatHelper.splitCells(textLines[i], i+1, TEXT_FORMAT_CELL_SEPERATOR));
+            }
+        }
+        return FormatHelper.gridToGame(lines, textLines.length);
     }
 
 }
 
+/**
+ * CSV or TSV format of a puzzle with the same layout as the text format: the column weights in the first line,
+ * then every row with its weight, the fields and its constraint, and the column constraints in the last line.
+ */
+class KakurasuCsvFormat {
 
-class MathHelper {
-    static sum_up_recursive(numbers, target, partial) {
-        let s = 0;
-        for(let i=0; i<partial.length; i++){
-            s += partial[i];
+    /**
+     * @param game the Kakurasu game
+     * @param options {[delimiter: string, default ",", use "\t" for TSV]}
+     * @returns {string} the puzzle and the status of all fields as csv
+     */
+    static format(game, options = {}){
+        FormatHelper.checkExportable(game, "csv");
+        let delimiter = options.delimiter || CSV_FORMAT_DEFAULT_DELIMITER;
+        let rows = game.getAmountRows();
+        let columns = game.getAmountColumns();
+        let header = [""];
+        let footer = [""];
+        for(let column=0; column<columns; column++){
+            header.push(game.getColumnWeight(column));
+            footer.push(game.getConstraintValueForColumn(column));
         }
-        if(s===target){
-            return [partial];
+        header.push("");
+        footer.push("");
+        let lines = [header.join(delimiter)];
+        for(let row=0; row<rows; row++){
+            let cells = [game.getRowWeight(row)];
+            for(let column=0; column<columns; column++){
+                cells.push(FormatHelper.getIcon(game.getField(row, column)));
+            }
+            cells.push(game.getConstraintValueForRow(row));
+            lines.push(cells.join(delimiter));
         }
-        if( s >= target){
-            return null;
+        lines.push(footer.join(delimiter));
+        return lines.join("\n")+"\n";
+    }
+
+    /**
+     * @param text the puzzle as csv or tsv
+     * @param options {[delimiter: string, default a tab if the first line contains one, otherwise ","]}
+     * @returns {Kakurasu} the game with the constraints, weights and field statuses of the text
+     * @throws KakurasuParseError with the line and column of the first problem
+     */
+    static parse(text, options = {}){
+        let lines = [];
+        let textLines = FormatHelper.splitLines(text);
+        let delimiter = options.delimiter;
+        for(let i=0; i<textLines.length; i++){
+            if(textLines[i].trim() === ""){
+                continue;
+            }
+            if(!delimiter){
+                delimiter = textLines[i].indexOf(CSV_FORMAT_TAB_DELIMITER) >= 0 ? CSV_FORMAT_TAB_DELIMITER : CSV_FORMAT_DEFAULT_DELIMITER;
+            }
+            lines.push(FormatHelper.splitCells(textLines[i], i+1, delimiter));
+        }
+        return FormatHelper.gridToGame(lines, textLines.length);
+    }
+
+}
+
+/**
+ * Url format of a puzzle in the style of puzz.link: "<baseUrl>?kakurasu/<columns>/<rows>/<constraints>".
+ * The constraints of the columns and then of the rows are hexadecimal numbers, numbers from 16 to 255 are prefixed
+ * by "-" and have two digits, numbers from 256 to 4095 are prefixed by "+" and have three digits.
+ * Only the default weights are supported and the status of the fields is not part of the url.
+ */
+class KakurasuUrlFormat {
+
+    /**
+     * @param game the Kakurasu game
+     * @param baseUrl [optional] the url of the puzzle player, default https://puzz.link/p
+     * @returns {string} the url of the puzzle
+     */
+    static format(game, baseUrl = URL_FORMAT_DEFAULT_BASE_URL){
+        FormatHelper.checkExportable(game, "url");
+        if(!!game.state.weights){
+            throw new Error("Games with custom weights can not be exported as url");
+        }
+        let rows = game.getAmountRows();
+        let columns = game.getAmountColumns();
+        let constraints = [];
+        for(let column=0; column<columns; column++){
+            constraints.push(KakurasuUrlFormat._encodeNumber(game.getConstraintValueForColumn(column)));
+        }
+        for(let row=0; row<rows; row++){
+            constraints.push(KakurasuUrlFormat._encodeNumber(game.getConstraintValueForRow(row)));
+        }
+        return baseUrl+"?"+[URL_FORMAT_TYPE, columns, rows, constraints.join("")].join(URL_FORMAT_SEPERATOR);
+    }
+
+    /**
+     * @param text the url or only the part after "?"
+     * @returns {Kakurasu} the game with the constraints of the url
+     * @throws KakurasuParseError with the column of the first problem, the line is always 1
+     */
+    static parse(text){
+        if(typeof text !== "string"){
+            throw new KakurasuParseError("the url has to be a string", 1, 1);
+        }
+        let start = Math.max(0, text.search(/\S/));
+        let query = text.trim();
+        if(query.indexOf("?") >= 0){
+            start += query.indexOf("?")+1;
+            query = query.slice(query.indexOf("?")+1);
+        }
+        let parts = FormatHelper.splitCells(query, 1, URL_FORMAT_SEPERATOR).map(part => {
+            return Object.assign({}, part, {column: part.column+start});
+        });
+        if(parts.length !== 4 || parts[0].text !== URL_FORMAT_TYPE){
+            throw new KakurasuParseError("the url has to be "+URL_FORMAT_TYPE+"/<columns>/<rows>/<constraints>", 1, start+1);
+        }
+        let columns = FormatHelper.parseNumber(parts[1], "amount of columns");
+        let rows = FormatHelper.parseNumber(parts[2], "amount of rows");
+        FormatHelper.checkSize(rows, columns, parts[1]);
+        let constraints = KakurasuUrlFormat._decodeNumbers(parts[3]);
+        if(constraints.length !== columns.value+rows.value){
+            throw new KakurasuParseError("the url has to contain "+(columns.value+rows.value)+" constraints, but contains "+
+                constraints.length, 1, parts[3].column);
+        }
+        let rowWeights = [];
+        let columnWeights = [];
+        for(let row=0; row<rows.value; row++){
+            rowWeights.push({value: row+1, line: 1, column: parts[2].column});
+        }
+        for(let column=0; column<columns.value; column++){
+            columnWeights.push({value: column+1, line: 1, column: parts[1].column});
+        }
+        return FormatHelper.createGame({
+            rowWeights: rowWeights,
+            columnWeights: columnWeights,
+            rowConstraints: constraints.slice(columns.value),
+            columnConstraints: constraints.slice(0, columns.value),
+            statuses: null
+        });
+    }
+
+    static _encodeNumber(number){
+        let digits = number.toString(URL_FORMAT_RADIX);
+        if(digits.length === 1){
+            return digits;
+        }
+        if(digits.length === 2){
+            return URL_FORMAT_PREFIX_TWO_DIGITS+digits;
+        }
+        if(digits.length === 3){
+            return URL_FORMAT_PREFIX_THREE_DIGITS+digits;
         }
-        let listOfValidPartialSums = [];
-        for(let i=0; i<numbers.length; i++){
-            let remaining = [];
-            let n = numbers[i];
-            for(let j=i+1; j<numbers.length; j++){
-                remaining.push(numbers[i]);
+        throw new Error("The constraint "+number+" is too large for the url format");
+    }
+
+    /**
+     * @param part the cell of the constraints part
+     * @returns {[]} a cell for every decoded constraint
+     */
+    static _decodeNumbers(part){
+        let numbers = [];
+        let text = part.text;
+        let i = 0;
+        while(i < text.length){
+            let character = text.charAt(i);
+            let amountDigits = 1;
+            let digitsStart = i;
+            if(character === URL_FORMAT_PREFIX_TWO_DIGITS || character === URL_FORMAT_PREFIX_THREE_DIGITS){
+                amountDigits = character === URL_FORMAT_PREFIX_TWO_DIGITS ? 2 : 3;
+                digitsStart++;
             }
-            let partial_rec = partial.slice(0);
-            partial_rec.push(n);
-            let listOfValidRecursivePartialSums = MathHelper.sum_up_recursive(remaining, target, partial_rec);
-            for(let j=0; i<listOfValidRecursivePartialSums.length; j++){
-                listOfValidPartialSums.push(listOfValidRecursivePartialSums[j]);
+            let digits = text.substr(digitsStart, amountDigits);
+            if(digits.length !== amountDigits || !URL_FORMAT_DIGITS.test(digits)){
+                throw new KakurasuParseError("invalid constraint "+text.slice(i, digitsStart+amountDigits), 1, part.column+i);
             }
+            numbers.push({value: parseInt(digits, URL_FORMAT_RADIX), line: 1, column: part.column+i});
+            i = digitsStart+amountDigits;
         }
-        return listOfValidPartialSums;
-    };
+        return numbers;
+    }
 
-    static subset_sum(numbers, target) {
-        MathHelper.sum_up_recursive(numbers, target, []);
-    };
 }
 
 /**
-console.log("Kakarasu Test");
-let game = new Kakurasu();
-game.changeActiveStatus(0,0);
-game.changeActiveStatus(0,1);
-game.changeActiveStatus(0,2);
-game.changeActiveStatus(0,3);
-game.changeActiveStatus(0,4);
-console.log("INIT");
-console.log(game.print())
-console.log("")
-*/
+ * Shared parts of the text, csv and url formats. Parsed values are cells {text, line, column} with the position of
+ * the value in the parsed text, numbers are cells {value, line, column}.
+ */
+class FormatHelper {
+
+    static checkExportable(game, formatName){
+        let fields = game.getFieldsAll();
+        for(let i=0; i<fields.length; i++){
+            if(fields[i].hasWeight()){
+                throw new Error("Games with weights of single fields can not be exported as "+formatName);
+            }
+        }
+    }
+
+    static getIcon(field){
+        if(field.isActive()){
+            return FORMAT_ICON_ACTIVE;
+        }
+        return field.isFlagged() ? FORMAT_ICON_FLAGGED : "";
+    }
+
+    static splitLines(text){
+        if(typeof text !== "string"){
+            throw new KakurasuParseError("the puzzle has to be a string", 1, 1);
+        }
+        return text.split(/\r?\n/);
+    }
+
+    /**
+     * @returns {[]} the trimmed cells of the line, the column of a cell is its first non blank character
+     */
+    static splitCells(text, line, seperator){
+        let cells = [];
+        let start = 0;
+        let parts = text.split(seperator);
+        for(let i=0; i<parts.length; i++){
+            let offset = Math.max(0, parts[i].search(/\S/));
+            let cellText = parts[i].trim();
+            if(cellText.length >= 2 && cellText.charAt(0) === "\"" && cellText.charAt(cellText.length-1) === "\""){
+                cellText = cellText.slice(1, -1).trim();
+            }
+            cells.push({text: cellText, line: line, column: start+offset+1});
+            start += parts[i].length+seperator.length;
+        }
+        return cells;
+    }
+
+    /**
+     * @param max [optional] the highest allowed number
+     */
+    static parseNumber(cell, name, max = Infinity){
+        if(!FORMAT_NUMBER.test(cell.text)){
+            throw new KakurasuParseError("the "+name+" \""+cell.text+"\" has to be a number", cell.line, cell.column);
+        }
+        let value = parseInt(cell.text);
+        if(value > max){
+            throw new KakurasuParseError("the "+name+" "+cell.text+" has to be at most "+max, cell.line, cell.column);
+        }
+        return {value: value, line: cell.line, column: cell.column};
+    }
+
+    static checkSize(rows, columns, cell){
+        if(rows.value < 1 || columns.value < 1 || rows.value > FORMAT_MAX_SIZE || columns.value > FORMAT_MAX_SIZE){
+            throw new KakurasuParseError("the size "+rows.value+"x"+columns.value+" has to be between 1x1 and "+
+                FORMAT_MAX_SIZE+"x"+FORMAT_MAX_SIZE, cell.line, cell.column);
+        }
+    }
+
+    /**
+     * @param lines the cells of every line: the column weights, a line for every row and the column constraints
+     * @param amountTextLines the amount of lines of the text, for errors about missing lines
+     * @returns {Kakurasu}
+     */
+    static gridToGame(lines, amountTextLines){
+        if(lines.length < 3){
+            throw new KakurasuParseError("the puzzle needs a line with the column weights, at least one row and a line "+
+                "with the column constraints", amountTextLines, 1);
+        }
+        let header = lines[0];
+        let footer = lines[lines.length-1];
+        let rows = {value: lines.length-2};
+        let columns = {value: header.length-2};
+        FormatHelper.checkSize(rows, columns, header[0]);
+        for(let i=0; i<lines.length; i++){
+            let cells = lines[i];
+            if(cells.length !== columns.value+2){
+                let cell = cells[Math.min(cells.length, columns.value+2)-1];
+                throw new KakurasuParseError("the line has to contain "+(columns.value+2)+" cells like the first line, "+
+                    "but contains "+cells.length, cell.line, cell.column);
+            }
+        }
+        let emptyCells = [header[0], header[columns.value+1], footer[0], footer[columns.value+1]];
+        for(let i=0; i<emptyCells.length; i++){
+            if(emptyCells[i].text !== ""){
+                throw new KakurasuParseError("the first and the last cell of the first and the last line have to be empty",
+                    emptyCells[i].line, emptyCells[i].column);
+            }
+        }
+
+        let puzzle = {rowWeights: [], columnWeights: [], rowConstraints: [], columnConstraints: [], statuses: []};
+        for(let column=0; column<columns.value; column++){
+            puzzle.columnWeights.push(FormatHelper.parseNumber(header[column+1], "column weight", SAVE_FORMAT_MAX_WEIGHT));
+            puzzle.columnConstraints.push(FormatHelper.parseNumber(footer[column+1], "column constraint", SAVE_FORMAT_MAX_CONSTRAINT));
+        }
+        for(let row=0; row<rows.value; row++){
+            let cells = lines[row+1];
+            puzzle.rowWeights.push(FormatHelper.parseNumber(cells[0], "row weight", SAVE_FORMAT_MAX_WEIGHT));
+            puzzle.rowConstraints.push(FormatHelper.parseNumber(cells[columns.value+1], "row constraint", SAVE_FORMAT_MAX_CONSTRAINT));
+            let statuses = [];
+            for(let column=0; column<columns.value; column++){
+                statuses.push(FormatHelper._parseStatus(cells[column+1]));
+            }
+            puzzle.statuses.push(statuses);
+        }
+        return FormatHelper.createGame(puzzle);
+    }
+
+    static _parseStatus(cell){
+        switch(cell.text){
+            case "":
+                return STATUS_CLEAR;
+            case FORMAT_ICON_ACTIVE:
+            case FORMAT_ICON_ACTIVE.toLowerCase():
+                return STATUS_ACTIVE;
+            case FORMAT_ICON_FLAGGED:
+            case FORMAT_ICON_FLAGGED.toUpperCase():
+                return STATUS_FLAGGED;
+            default:
+                throw new KakurasuParseError("the field \""+cell.text+"\" has to be empty, "+FORMAT_ICON_ACTIVE+
+                    " (active) or "+FORMAT_ICON_FLAGGED+" (flagged)", cell.line, cell.column);
+        }
+    }
+
+    /**
+     * Checks the weights and the range of the constraints and creates the game
+     * @param puzzle {rowWeights, columnWeights, rowConstraints, columnConstraints: lists of number cells,
+     * statuses: statuses[row][column] or null}
+     * @returns {Kakurasu}
+     */
+    static createGame(puzzle){
+        let rowWeights = FormatHelper._getWeights(puzzle.rowWeights, "row weight");
+        let columnWeights = FormatHelper._getWeights(puzzle.columnWeights, "column weight");
+        let constraints = {
+            rows: FormatHelper._getConstraints(puzzle.rowConstraints, columnWeights, "row constraint"),
+            columns: FormatHelper._getConstraints(puzzle.columnConstraints, rowWeights, "column constraint")
+        };
+        let isDefault = (weight, index) => weight === index+1;
+        let weights = rowWeights.every(isDefault) && columnWeights.every(isDefault) ? null : {rows: rowWeights, columns: columnWeights};
+        let game = Kakurasu.fromConstraints(constraints, weights);
+        if(puzzle.statuses !== null){
+            for(let row=0; row<puzzle.statuses.length; row++){
+                for(let column=0; column<puzzle.statuses[row].length; column++){
+                    game.getField(row, column).setStatus(puzzle.statuses[row][column]);
+                }
+            }
+        }
+        return game;
+    }
+
+    static _getWeights(cells, name){
+        for(let i=0; i<cells.length; i++){
+            if(cells[i].value < 1){
+                throw new KakurasuParseError("the "+name+" has to be at least 1", cells[i].line, cells[i].column);
+            }
+        }
+        return cells.map(cell => cell.value);
+    }
+
+    /**
+     * A constraint has to be reachable by the sum of the weights of the other direction
+     */
+    static _getConstraints(cells, weights, name){
+        let highestSum = weights.reduce((sum, weight) => sum+weight, 0);
+        for(let i=0; i<cells.length; i++){
+            if(cells[i].value > highestSum){
+                throw new KakurasuParseError("the "+name+" "+cells[i].value+" has to be between 0 and "+highestSum,
+                    cells[i].line, cells[i].column);
+            }
+        }
+        return cells.map(cell => cell.value);
+    }
+
+}
+
+/**
+ * Renders Kakarasu games as standalone SVG without a browser, e.g. to generate printable puzzles on a server.
+ * The puzzle mode shows only the givens, the progress mode the status of all fields and the solution mode the
+ * predefined solution. Sheets place several games on pages of a paper size in millimeters for printing booklets.
+ */
+class KakurasuSvgRenderer {
+
+    /**
+     * Constructor of the renderer
+     * @param options {[cellSize: number, default 40], [theme: light|dark|print or an object with the colors of
+     * SVG_THEMES, default light], [showWeights: boolean, default true]}
+     */
+    constructor(options = {}) {
+        this.cellSize = options.cellSize || SVG_DEFAULT_CELL_SIZE;
+        this.showWeights = options.showWeights !== false;
+        let theme = options.theme || SVG_DEFAULT_THEME;
+        if(typeof theme === "string"){
+            if(!SVG_THEMES[theme]){
+                throw new Error("Unknown theme "+theme+", use one of "+Object.keys(SVG_THEMES).join(", "));
+            }
+            theme = SVG_THEMES[theme];
+        }
+        this.theme = Object.assign({}, SVG_THEMES[SVG_DEFAULT_THEME], theme);
+    }
+
+    /**
+     * @param game the Kakurasu game
+     * @param mode puzzle, progress or solution, default progress
+     * @returns {string} the svg document
+     */
+    render(game, mode = SVG_MODE_PROGRESS){
+        let board = this._renderBoard(game, mode);
+        return KakurasuSvgRenderer._createDocument(board.width, board.height, board.width, board.height, board.content);
+    }
+
+    /**
+     * Places the games on pages, every page is a svg document with the size of the paper in millimeters
+     * @param games list of Kakurasu games
+     * @param options {[mode: puzzle, progress or solution, default puzzle], [pageSize: a4|a5|letter, default a4],
+     * [columns: games per line, default 2], [rows: lines per page, default 3], [titles: list of a title for every game,
+     * default "#1", "#2", ...]}
+     * @returns {[]} the svg document of every page
+     */
+    renderSheets(games, options = {}){
+        let mode = options.mode || SVG_MODE_PUZZLE;
+        let pageSize = SVG_PAGE_SIZES[options.pageSize || SVG_SHEET_DEFAULT_PAGE_SIZE];
+        if(!pageSize){
+            throw new Error("Unknown page size "+options.pageSize+", use one of "+Object.keys(SVG_PAGE_SIZES).join(", "));
+        }
+        let columns = options.columns || SVG_SHEET_DEFAULT_COLUMNS;
+        let rows = options.rows || SVG_SHEET_DEFAULT_ROWS;
+        let titles = options.titles || games.map((game, index) => "#"+(index+1));
+        let slotWidth = (pageSize.width-2*SVG_SHEET_MARGIN-(columns-1)*SVG_SHEET_SPACING)/columns;
+        let slotHeight = (pageSize.height-2*SVG_SHEET_MARGIN-(rows-1)*SVG_SHEET_SPACING)/rows;
+
+        let pages = [];
+        for(let first=0; first<games.length; first+=columns*rows){
+            let content = [];
+            if(this.theme.background !== "none"){
+                content.push(KakurasuSvgRenderer._element("rect", {x: 0, y: 0, width: pageSize.width, height: pageSize.height,
+                    fill: this.theme.background}));
+            }
+            for(let i=first; i<Math.min(games.length, first+columns*rows); i++){
+                let position = i-first;
+                let x = SVG_SHEET_MARGIN+(position%columns)*(slotWidth+SVG_SHEET_SPACING);
+                let y = SVG_SHEET_MARGIN+Math.floor(position/columns)*(slotHeight+SVG_SHEET_SPACING);
+                content.push(KakurasuSvgRenderer._element("text", {x: x, y: y+SVG_SHEET_TITLE_SIZE*0.8,
+                    "font-family": SVG_FONT_FAMILY, "font-size": SVG_SHEET_TITLE_SIZE, fill: this.theme.constraint},
+                    KakurasuSvgRenderer._escape(titles[i] === undefined ? "" : titles[i])));
+                let board = this._renderBoard(games[i], mode, false);
+                content.push(KakurasuSvgRenderer._element("svg", {x: x, y: y+SVG_SHEET_TITLE_SIZE*1.5, width: slotWidth,
+                    height: slotHeight-SVG_SHEET_TITLE_SIZE*1.5, viewBox: "0 0 "+board.width+" "+board.height}, board.content));
+            }
+            pages.push(KakurasuSvgRenderer._createDocument(pageSize.width+"mm", pageSize.height+"mm", pageSize.width,
+                pageSize.height, content.join("\n")));
+        }
+        return pages;
+    }
+
+    /**
+     * @param withBackground if the board is filled with the background of the theme
+     * @returns {{width: number, height: number, content: string}}
+     */
+    _renderBoard(game, mode, withBackground = true){
+        let statuses = KakurasuSvgRenderer._getStatuses(game, mode);
+        let size = this.cellSize;
+        let rows = game.getAmountRows();
+        let columns = game.getAmountColumns();
+        let padding = size/10;
+        let left = padding+(this.showWeights ? size : 0);
+        let top = padding+(this.showWeights ? size : 0);
+        let width = left+(columns+1)*size+padding;
+        let height = top+(rows+1)*size+padding;
+        let content = [];
+        if(withBackground && this.theme.background !== "none"){
+            content.push(KakurasuSvgRenderer._element("rect", {x: 0, y: 0, width: width, height: height, fill: this.theme.background}));
+        }
+
+        for(let row=0; row<rows; row++){
+            for(let column=0; column<columns; column++){
+                content.push(this._renderField(game.getField(row, column), statuses[row][column], left+column*size, top+row*size));
+            }
+        }
+        let showSatisfied = mode === SVG_MODE_PROGRESS;
+        for(let row=0; row<rows; row++){
+            let y = top+row*size;
+            if(this.showWeights){
+                content.push(this._renderNumber(game.getRowWeight(row), left-size, y, this.theme.weight, false));
+            }
+            let color = showSatisfied && game.isRowMarkedSatisfied(row) ? this.theme.satisfied : this.theme.constraint;
+            content.push(this._renderNumber(game.getConstraintValueForRow(row), left+columns*size, y, color, true));
+        }
+        for(let column=0; column<columns; column++){
+            let x = left+column*size;
+            if(this.showWeights){
+                content.push(this._renderNumber(game.getColumnWeight(column), x, top-size, this.theme.weight, false));
+            }
+            let color = showSatisfied && game.isColumnMarkedSatisfied(column) ? this.theme.satisfied : this.theme.constraint;
+            content.push(this._renderNumber(game.getConstraintValueForColumn(column), x, top+rows*size, color, true));
+        }
+        return {width: width, height: height, content: content.join("\n")};
+    }
+
+    _renderField(field, status, x, y){
+        let size = this.cellSize;
+        let isGiven = field.isReadOnly() && !field.isClear();
+        let elements = [KakurasuSvgRenderer._element("rect", {x: x, y: y, width: size, height: size,
+            fill: status === STATUS_ACTIVE ? (isGiven ? this.theme.given : this.theme.active) : "none",
+            stroke: this.theme.grid, "stroke-width": size/20})];
+        if(status === STATUS_FLAGGED){
+            let inset = size*0.3;
+            let color = isGiven ? this.theme.given : this.theme.flag;
+            elements.push(KakurasuSvgRenderer._element("path", {d: "M"+(x+inset)+" "+(y+inset)+"L"+(x+size-inset)+" "+(y+size-inset)+
+                "M"+(x+size-inset)+" "+(y+inset)+"L"+(x+inset)+" "+(y+size-inset), stroke: color, "stroke-width": size/15}));
+        }
+        if(this.showWeights && field.hasWeight()){
+            elements.push(KakurasuSvgRenderer._element("text", {x: x+size*0.08, y: y+size*0.3, "font-family": SVG_FONT_FAMILY,
+                "font-size": size/4, fill: status === STATUS_ACTIVE ? this.theme.background : this.theme.weight}, field.getWeight()));
+        }
+        return elements.join("\n");
+    }
+
+    _renderNumber(value, x, y, color, bold){
+        let size = this.cellSize;
+        let attributes = {x: x+size/2, y: y+size/2, "text-anchor": "middle", "dominant-baseline": "central",
+            "font-family": SVG_FONT_FAMILY, "font-size": bold ? size/2 : size*0.4, fill: color};
+        if(bold){
+            attributes["font-weight"] = "bold";
+        }
+        return KakurasuSvgRenderer._element("text", attributes, value);
+    }
+
+    /**
+     * @returns {[]} statuses[row][column] to show in the mode
+     */
+    static _getStatuses(game, mode){
+        if(SVG_MODES.indexOf(mode) < 0){
+            throw new Error("Unknown mode "+mode+", use one of "+SVG_MODES.join(", "));
+        }
+        let solution = null;
+        if(mode === SVG_MODE_SOLUTION){
+            solution = game._getPredefinedSolution();
+            if(solution === null){
+                throw new Error("The solution of the game is not known");
+            }
+        }
+        let statuses = [];
+        for(let row=0; row<game.getAmountRows(); row++){
+            let rowStatuses = [];
+            for(let column=0; column<game.getAmountColumns(); column++){
+                let field = game.getField(row, column);
+                if(mode === SVG_MODE_SOLUTION){
+                    rowStatuses.push(solution[row][column] ? STATUS_ACTIVE : STATUS_CLEAR);
+                } else if(mode === SVG_MODE_PUZZLE && !field.isReadOnly()){
+                    rowStatuses.push(STATUS_CLEAR);
+                } else {
+                    rowStatuses.push(field.getStatus());
+                }
+            }
+            statuses.push(rowStatuses);
+        }
+        return statuses;
+    }
+
+    static _createDocument(width, height, viewBoxWidth, viewBoxHeight, content){
+        return "<?xml version=\"1.0\" encoding=\"UTF-8\"?>\n"+KakurasuSvgRenderer._element("svg", {
+            xmlns: "http://www.w3.org/2000/svg", width: width, height: height, viewBox: "0 0 "+viewBoxWidth+" "+viewBoxHeight
+        }, "\n"+content+"\n")+"\n";
+    }
+
+    /**
+     * @param content [optional] the content of the element, without content the element is closed directly
+     */
+    static _element(name, attributes, content){
+        let attributeText = "";
+        let keys = Object.keys(attributes);
+        for(let i=0; i<keys.length; i++){
+            attributeText += " "+keys[i]+"=\""+KakurasuSvgRenderer._escape(KakurasuSvgRenderer._formatValue(attributes[keys[i]]))+"\"";
+        }
+        if(content === undefined){
+            return "<"+name+attributeText+"/>";
+        }
+        return "<"+name+attributeText+">"+content+"</"+name+">";
+    }
+
+    static _formatValue(value){
+        return typeof value === "number" ? Math.round(value*100)/100+"" : value+"";
+    }
+
+    static _escape(text){
+        return (text+"").replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+    }
+
+}
+
+/**
+ * Replay of a recorded Kakarasu game. The replay starts at the initial board and steps forward or backward through
+ * the applied moves of the game, or plays them at a chosen speed.
+ */
+class KakurasuReplay {
+
+    /**
+     * Constructor of a replay
+     * @param gameOrState a Kakurasu game or its json state, the game itself is not changed
+     */
+    constructor(gameOrState) {
+        let state = JSON.parse(JSON.stringify(gameOrState instanceof Kakurasu ? gameOrState.asJSON() : gameOrState));
+        state = KakurasuSaveFormat.load(state);
+        let amountAppliedMoves = state.currentMoveIndex === null ? 0 : state.currentMoveIndex+1;
+        state.moveHistory = state.moveHistory.slice(0, amountAppliedMoves);
+        state.moveTree.activeBranch = state.moveTree.activeBranch.slice(0, amountAppliedMoves);
+        this.game = new Kakurasu(state);
+        while(this.game.undoMove()){
+            //back to the initial board
+        }
+        this.moves = this._loadMoves(state.moveHistory);
+        this.playTimeout = null;
+    }
+
+    _loadMoves(moveHistory){
+        let solution = this.game._getPredefinedSolution();
+        let firstTime = moveHistory.length > 0 && moveHistory[0].time !== undefined ? moveHistory[0].time : null;
+        return moveHistory.map((move, index) => {
+            return {
+                index: index,
+                move: move,
+                time: move.time !== undefined ? move.time : null,
+                elapsed: firstTime !== null && move.time !== undefined ? move.time-firstTime : null,
+                assist: move.assist || null,
+                contradictsSolution: solution !== null ? Kakurasu._isMoveContradictingSolution(move, solution) : null
+            };
+        });
+    }
+
+    /**
+     * Get the game showing the current position of the replay, its events can be used to follow the replay
+     * @returns {Kakurasu}
+     */
+    getGame(){
+        return this.game;
+    }
+
+    /**
+     * Get all moves of the replay
+     * @returns {[]} list of {index, move, time, elapsed, assist, contradictsSolution}, time is the timestamp in
+     * milliseconds, elapsed the milliseconds since the first move, both null for moves without timestamp. assist is
+     * the assist which made the move or null for moves of the player. contradictsSolution is null if no solution is
+     * known.
+     */
+    getMoves(){
+        return this.moves;
+    }
+
+    /**
+     * Get all moves which contradict the solution
+     * @returns {[]} list of moves, see getMoves
+     */
+    getContradictingMoves(){
+        return this.moves.filter(move => move.contradictsSolution === true);
+    }
+
+    /**
+     * Get the amount of moves of the replay
+     * @returns {number}
+     */
+    getAmountMoves(){
+        return this.moves.length;
+    }
+
+    /**
+     * Get the position of the replay
+     * @returns {number} amount of applied moves, 0 at the initial board
+     */
+    getPosition(){
+        let currentMoveIndex = this.game.state.currentMoveIndex;
+        return currentMoveIndex === null ? 0 : currentMoveIndex+1;
+    }
+
+    /**
+     * Get the move which was applied last
+     * @returns {null|{}} the move, see getMoves, null at the initial board
+     */
+    getCurrentMove(){
+        let position = this.getPosition();
+        return position > 0 ? this.moves[position-1] : null;
+    }
+
+    /**
+     * Applies the next move
+     * @returns {boolean} if there was a next move
+     */
+    stepForward(){
+        return this.game.redoMove();
+    }
+
+    /**
+     * Undoes the last applied move
+     * @returns {boolean} if there was a move to undo
+     */
+    stepBackward(){
+        return this.game.undoMove();
+    }
+
+    /**
+     * Steps forward or backward to a position
+     * @param position amount of applied moves, 0 for the initial board
+     */
+    goTo(position){
+        position = Math.max(0, Math.min(this.getAmountMoves(), position));
+        while(this.getPosition() < position){
+            this.stepForward();
+        }
+        while(this.getPosition() > position){
+            this.stepBackward();
+        }
+    }
+
+    /**
+     * Plays the replay from the current position. The time between two moves is the recorded time divided by the
+     * speed, moves without timestamps are played in a fixed interval.
+     * @param options {[speed: number, default 1], [onStep: function(move, replay) after every move],
+     * [onEnd: function(replay) after the last move]}
+     */
+    play(options = {}){
+        this.pause();
+        let speed = options.speed || 1;
+        let playNextMove = () => {
+            let nextMove = this.moves[this.getPosition()];
+            if(!nextMove){
+                this.playTimeout = null;
+                if(!!options.onEnd){
+                    options.onEnd(this);
+                }
+                return;
+            }
+            this.playTimeout = setTimeout(() => {
+                this.stepForward();
+                if(!!options.onStep){
+                    options.onStep(nextMove, this);
+                }
+                playNextMove();
+            }, this._getDelayBeforeMove(nextMove)/speed);
+        };
+        playNextMove();
+    }
+
+    _getDelayBeforeMove(move){
+        let previousMove = this.moves[move.index-1];
+        if(!previousMove || previousMove.time === null || move.time === null){
+            return REPLAY_DEFAULT_DELAY;
+        }
+        return Math.min(REPLAY_MAX_DELAY, Math.max(0, move.time-previousMove.time));
+    }
+
+    /**
+     * Stops playing the replay
+     */
+    pause(){
+        if(this.playTimeout !== null){
+            clearTimeout(this.playTimeout);
+            this.playTimeout = null;
+        }
+    }
+
+    /**
+     * @returns {boolean} if the replay is playing
+     */
+    isPlaying(){
+        return this.playTimeout !== null;
+    }
+
+}
+
+/**
+ * Storage of the profiles in memory, e.g. for tests or a session without persistence.
+ * A storage has the methods getItem(key), setItem(key, value) and removeItem(key) with string values, like the
+ * localStorage of a browser.
+ */
+class KakurasuMemoryStorage {
+
+    constructor() {
+        this.items = {};
+    }
+
+    getItem(key){
+        return this.items.hasOwnProperty(key) ? this.items[key] : null;
+    }
+
+    setItem(key, value){
+        this.items[key] = String(value);
+    }
+
+    removeItem(key){
+        delete this.items[key];
+    }
+
+}
+
+/**
+ * Storage of the profiles as files in a directory, only available in node
+ */
+class KakurasuFileSystemStorage {
+
+    /**
+     * Constructor of the storage
+     * @param directory the directory of the files, created if it does not exist
+     */
+    constructor(directory) {
+        this.directory = directory;
+        fs.mkdirSync(directory, {recursive: true});
+    }
+
+    _getFile(key){
+        return this.directory+"/"+encodeURIComponent(key)+".json";
+    }
+
+    getItem(key){
+        let file = this._getFile(key);
+        return fs.existsSync(file) ? fs.readFileSync(file, "utf8") : null;
+    }
+
+    setItem(key, value){
+        fs.writeFileSync(this._getFile(key), String(value));
+    }
+
+    removeItem(key){
+        let file = this._getFile(key);
+        if(fs.existsSync(file)){
+            fs.unlinkSync(file);
+        }
+    }
+
+}
+
+/**
+ * Storage of the profiles in the localStorage of a browser
+ */
+class KakurasuLocalStorage {
+
+    /**
+     * Constructor of the storage
+     * @param localStorage [optional] the storage to use, default window.localStorage
+     */
+    constructor(localStorage) {
+        this.localStorage = localStorage || window.localStorage;
+    }
+
+    getItem(key){
+        return this.localStorage.getItem(key);
+    }
+
+    setItem(key, value){
+        this.localStorage.setItem(key, value);
+    }
+
+    removeItem(key){
+        this.localStorage.removeItem(key);
+    }
+
+}
+
+/**
+ * The profile of a player with the finished games, the personal bests per board size, the streak of days with
+ * a finished game, the amount of finished games and the unfinished games. Every change is saved in the storage.
+ */
+class KakurasuProfile {
+
+    /**
+     * Constructor of a profile, an existing profile with the name is loaded from the storage
+     * @param storage a KakurasuMemoryStorage, KakurasuFileSystemStorage, KakurasuLocalStorage or any object with
+     * getItem, setItem and removeItem
+     * @param name [optional] the name of the profile, default "default"
+     */
+    constructor(storage, name = PROFILE_DEFAULT_NAME) {
+        this.storage = storage;
+        this.key = PROFILE_STORAGE_KEY_PREFIX+name;
+        let savedProfile = storage.getItem(this.key);
+        this.state = savedProfile !== null ? JSON.parse(savedProfile) : KakurasuProfile._getCleanState(name);
+    }
+
+    static _getCleanState(name){
+        return {
+            version: PROFILE_VERSION,
+            name: name,
+            games: [],
+            bests: {},
+            completions: {total: 0, sizes: {}},
+            streak: {current: 0, longest: 0, lastDay: null},
+            unfinishedGames: {}
+        };
+    }
+
+    _save(){
+        this.storage.setItem(this.key, JSON.stringify(this.state));
+    }
+
+    static _getSizeKey(rows, columns){
+        return rows+"x"+columns;
+    }
+
+    /**
+     * Records a won game, a game which is already recorded is not recorded again, e.g. after undoing and redoing the
+     * winning move
+     * @param game the won Kakurasu game
+     * @param id [optional] id of the unfinished game, which is removed
+     * @returns {null|{}} the record {key, time, rows, columns, difficulty, seed, score, elapsedTime, moves,
+     * assistedMoves, hints, undos, mistakes}, null if the game was already recorded
+     */
+    recordGame(game, id){
+        if(!game.isGameWon()){
+            throw new Error("Only won games can be recorded");
+        }
+        let key = KakurasuProfile._getGameKey(game);
+        if(this.state.games.some(record => record.key === key)){
+            return null;
+        }
+        let statistics = game.getStatistics();
+        let generator = game.state.generator || {};
+        let config = generator.config || {};
+        let record = {
+            key: key,
+            time: Date.now(),
+            rows: game.getAmountRows(),
+            columns: game.getAmountColumns(),
+            difficulty: !!generator.grade ? generator.grade.difficulty : (config.difficulty || null),
+            seed: config.seed !== undefined ? config.seed : null,
+            score: statistics.score,
+            elapsedTime: statistics.elapsedTime,
+            moves: statistics.moves,
+            assistedMoves: statistics.assistedMoves,
+            hints: statistics.hints,
+            undos: statistics.undos,
+            mistakes: statistics.mistakes
+        };
+        this.state.games.push(record);
+        this.state.games = this.state.games.slice(-PROFILE_MAX_GAMES);
+        this._updateBest(record);
+        this._updateCompletions(record);
+        this._updateStreak(record.time);
+        if(id !== undefined){
+            delete this.state.unfinishedGames[id];
+        }
+        this._save();
+        return record;
+    }
+
+    /**
+     * A game is identified by its constraints and the time of its first move, so playing the same level again is
+     * another game
+     * @returns {string} key like "3x3:4-2-5/1-5-4@1700000000000"
+     */
+    static _getGameKey(game){
+        let rowConstraints = [];
+        for(let row=0; row<game.getAmountRows(); row++){
+            rowConstraints.push(game.getConstraintValueForRow(row));
+        }
+        let columnConstraints = [];
+        for(let column=0; column<game.getAmountColumns(); column++){
+            columnConstraints.push(game.getConstraintValueForColumn(column));
+        }
+        let firstMove = game.getMoveFromHistoryAsCopy(0);
+        let firstMoveTime = !!firstMove && firstMove.time !== undefined ? firstMove.time : "";
+        return game.getAmountRows()+"x"+game.getAmountColumns()+":"+rowConstraints.join("-")+"/"+
+            columnConstraints.join("-")+"@"+firstMoveTime;
+    }
+
+    _updateBest(record){
+        let sizeKey = KakurasuProfile._getSizeKey(record.rows, record.columns);
+        let best = this.state.bests[sizeKey] || {score: null, elapsedTime: null};
+        if(best.score === null || record.score > best.score){
+            best.score = record.score;
+        }
+        if(best.elapsedTime === null || record.elapsedTime < best.elapsedTime){
+            best.elapsedTime = record.elapsedTime;
+        }
+        this.state.bests[sizeKey] = best;
+    }
+
+    _updateCompletions(record){
+        let sizeKey = KakurasuProfile._getSizeKey(record.rows, record.columns);
+        let completions = this.state.completions;
+        completions.total++;
+        completions.sizes[sizeKey] = (completions.sizes[sizeKey] || 0)+1;
+    }
+
+    /**
+     * The streak counts the days in a row with at least one finished game
+     */
+    _updateStreak(time){
+        let streak = this.state.streak;
+        let day = KakurasuProfile._getDay(time);
+        if(streak.lastDay === day){
+            return;
+        }
+        streak.current = streak.lastDay === day-1 ? streak.current+1 : 1;
+        streak.longest = Math.max(streak.longest, streak.current);
+        streak.lastDay = day;
+    }
+
+    /**
+     * @returns {number} the days since 1970-01-01 in UTC
+     */
+    static _getDay(time){
+        return Math.floor(time/PROFILE_DAY_LENGTH);
+    }
+
+    /**
+     * Get the name of the profile
+     * @returns {string}
+     */
+    getName(){
+        return this.state.name;
+    }
+
+    /**
+     * Get the finished games, the latest games are kept
+     * @returns {[]} list of records, see recordGame
+     */
+    getGames(){
+        return this.state.games.slice();
+    }
+
+    /**
+     * Get the finished games with the highest score
+     * @param options {[rows: number], [columns: number], [limit: number, default 10]}
+     * @returns {[]} list of records sorted by the score
+     */
+    getLeaderboard(options = {}){
+        let games = this.state.games.filter(record => {
+            return (options.rows === undefined || record.rows === options.rows) &&
+                (options.columns === undefined || record.columns === options.columns);
+        });
+        games.sort((record, otherRecord) => otherRecord.score-record.score || record.elapsedTime-otherRecord.elapsedTime);
+        return games.slice(0, options.limit || PROFILE_DEFAULT_LEADERBOARD_LIMIT);
+    }
+
+    /**
+     * Get the personal best of a board size
+     * @param rows amount of rows
+     * @param columns amount of columns
+     * @returns {null|{score: number, elapsedTime: number}} the highest score and the fastest time, null if no game
+     * of the size was finished
+     */
+    getBest(rows, columns){
+        let best = this.state.bests[KakurasuProfile._getSizeKey(rows, columns)];
+        return !!best ? Object.assign({}, best) : null;
+    }
+
+    /**
+     * Get the personal bests of all board sizes
+     * @returns {{}} the bests by the size e.g. "5x5", see getBest
+     */
+    getBests(){
+        return JSON.parse(JSON.stringify(this.state.bests));
+    }
+
+    /**
+     * Get the amount of finished games
+     * @returns {{total: number, sizes: {}}} sizes contains the amount by the size e.g. "5x5"
+     */
+    getCompletions(){
+        return JSON.parse(JSON.stringify(this.state.completions));
+    }
+
+    /**
+     * Get the streak of days in a row with at least one finished game
+     * @returns {{current: number, longest: number}} current is 0 if no game was finished today or yesterday
+     */
+    getStreak(){
+        let streak = this.state.streak;
+        let today = KakurasuProfile._getDay(Date.now());
+        let isRunning = streak.lastDay !== null && streak.lastDay >= today-1;
+        return {current: isRunning ? streak.current : 0, longest: streak.longest};
+    }
+
+    /**
+     * Saves an unfinished game to resume it later, a saved game with the id is replaced
+     * @param id the id of the game
+     * @param game the Kakurasu game
+     */
+    saveUnfinishedGame(id, game){
+        this.state.unfinishedGames[id] = {
+            time: Date.now(),
+            state: game.asJSON()
+        };
+        this._save();
+    }
+
+    /**
+     * Get all unfinished games
+     * @returns {[]} list of {id, time, rows, columns} sorted by the time they were saved, latest first
+     */
+    getUnfinishedGames(){
+        let unfinishedGames = this.state.unfinishedGames;
+        return Object.keys(unfinishedGames).map(id => {
+            let game = this.loadUnfinishedGame(id);
+            return {
+                id: id,
+                time: unfinishedGames[id].time,
+                rows: game.getAmountRows(),
+                columns: game.getAmountColumns()
+            };
+        }).sort((game, otherGame) => otherGame.time-game.time);
+    }
+
+    /**
+     * Loads an unfinished game
+     * @param id the id of the game
+     * @returns {null|Kakurasu} the game, null if there is no game with the id
+     */
+    loadUnfinishedGame(id){
+        let unfinishedGame = this.state.unfinishedGames[id];
+        if(!unfinishedGame){
+            return null;
+        }
+        return new Kakurasu(JSON.parse(JSON.stringify(unfinishedGame.state)));
+    }
+
+    /**
+     * Removes an unfinished game
+     * @param id the id of the game
+     * @returns {boolean} if there was a game with the id
+     */
+    removeUnfinishedGame(id){
+        if(!this.state.unfinishedGames[id]){
+            return false;
+        }
+        delete this.state.unfinishedGames[id];
+        this._save();
+        return true;
+    }
+
+    /**
+     * Deletes the profile from the storage and starts with an empty profile
+     */
+    clear(){
+        this.storage.removeItem(this.key);
+        this.state = KakurasuProfile._getCleanState(this.state.name);
+    }
+
+}
+
+/**
+ * A level generator for the Kakarasu game
+ * Generate a specific level by using a dict {fields: fields} as parameter for the kakarasu constructor
+ */
+class KakurasuLevelGenerator {
+
+
+
+    //generate AxB
+    /**
+     * Generate a new level
+     * @param config {[rows: amountRows, default 5 or 7 for hard], [columns: amountColumns, default rows], [amountMinimumInRow: amountMinimumInRow], [amountMaximumInRow: amountMaximumInRow], [amountMinimumInColumn: amountMinimumInColumn], [amountMaximumInColumn, amountMaximumInColumn], [unique: only levels with exactly one solution, default true], [difficulty: "easy"|"medium"|"hard" graded by KakurasuGrader, default any, medium needs at least 25 and hard at least 48 fields], [maxAttempts: maxAttempts, default 100 or 1000 with a difficulty], [seed: number or string to generate the same level again, default random], [weights: a scheme of getWeights or {rows, columns} each a scheme or a list of weights, default index+1]}
+     * @returns {{}} fields for the kakarasu constructor {fields: fields}, use generateGame for levels with weights
+     */
+    static generateLevel(config){
+        return KakurasuLevelGenerator.generateGame(config).fields;
+    }
+
+    /**
+     * Generate a new game with the information how it was generated. If a unique level is requested, levels are
+     * generated until one has exactly one solution. If none is found within the maximum attempts or the search of the
+     * solver gets too big, as on large boards, fields of the last level are revealed as read only fields until its
+     * solution is unique.
+     * @param config see generateLevel
+     * @returns {{fields: {}, generator: {config: {}, attempts: number, givens: number}, [weights: {}]}} state for the
+     * kakarasu constructor
+     */
+    static generateGame(config){
+        config = config || {};
+        let state = KakurasuLevelGenerator._generateGameIfFound(config);
+        if(state === null){
+            throw new Error("No level with difficulty "+config.difficulty+" found within "+config.maxAttempts+" attempts");
+        }
+        return state;
+    }
+
+    /**
+     * @see generateGame
+     * @returns {null|{}} the state, null if no level with the difficulty was found
+     * @throws Error if the config is invalid
+     */
+    static _generateGameIfFound(config){
+        config.difficulty = config.difficulty || null;
+        config.rows = config.rows || KakurasuLevelGenerator._getDefaultSize(config.difficulty);
+        config.columns = config.columns || config.rows;
+        KakurasuLevelGenerator._checkDifficulty(config);
+        config.unique = config.unique !== false;
+        config.maxAttempts = config.maxAttempts ||
+            (!!config.difficulty ? GENERATOR_DEFAULT_MAX_ATTEMPTS_WITH_DIFFICULTY : GENERATOR_DEFAULT_MAX_ATTEMPTS);
+        if(config.seed === undefined || config.seed === null){
+            config.seed = KakurasuLevelGenerator._getRandomInt(0, GENERATOR_MAX_SEED);
+        }
+        config.amountMinimumInRow = config.amountMinimumInRow || 1;
+        config.amountMaximumInRow = config.amountMaximumInRow || config.rows/2;
+        config.amountMinimumInColumn = config.amountMinimumInColumn || 1;
+        config.amountMaximumInColumn = config.amountMaximumInColumn || config.columns/2;
+
+
+        if(config.amountMinimumInRow<0){
+            config.amountMinimumInRow = 0;
+        }
+        if(config.amountMinimumInRow>config.rows){
+            config.amountMinimumInRow = config.rows;
+        }
+        if(config.amountMaximumInRow>config.rows){
+            config.amountMaximumInRow = config.rows;
+        }
+        if(config.amountMaximumInRow<0){
+            config.amountMaximumInRow = 0;
+        }
+        if(config.amountMaximumInRow<config.amountMinimumInRow){
+            config.amountMaximumInRow = config.amountMinimumInRow;
+        }
+
+
+        if(config.amountMinimumInColumn<0){
+            config.amountMinimumInColumn = 0;
+        }
+        if(config.amountMinimumInColumn>config.columns){
+            config.amountMinimumInColumn = config.columns;
+        }
+        if(config.amountMaximumInColumn>config.columns){
+            config.amountMaximumInColumn = config.columns;
+        }
+        if(config.amountMaximumInColumn<0){
+            config.amountMaximumInColumn = 0;
+        }
+        if(config.amountMaximumInColumn<config.amountMinimumInColumn){
+            config.amountMaximumInColumn = config.amountMinimumInColumn;
+        }
+
+        let weights = KakurasuLevelGenerator._getWeightsOfConfig(config);
+        let random = KakurasuLevelGenerator._createRandom(config.seed);
+        let fields = null;
+        let grade = null;
+        let found = false;
+        let unique = false;
+        let attempts = 0;
+        let solverNodes = 0;
+        while(!found && attempts < config.maxAttempts && solverNodes < GENERATOR_MAX_TOTAL_SOLVER_NODES){
+            attempts++;
+            fields = KakurasuLevelGenerator._initEmptyField(config.rows,config.columns);
+            fields = KakurasuLevelGenerator._setSolutionFieldsForRowColumn(true, fields, config, random);
+            fields = KakurasuLevelGenerator._setSolutionFieldsForRowColumn(false, fields, config, random);
+            unique = true;
+            if(config.unique){
+                let result = KakurasuLevelGenerator._solveFields(fields, weights);
+                unique = result.unique;
+                solverNodes += result.statistics.nodes;
+            }
+            if(unique){
+                grade = KakurasuLevelGenerator._gradeFields(fields, config, weights);
+                found = KakurasuLevelGenerator._isMatchingDifficulty(grade, config);
+            }
+        }
+
+        let givens = 0;
+        if(!found && !unique){
+            givens = KakurasuLevelGenerator._revealGivensUntilUnique(fields, random, weights);
+            grade = KakurasuLevelGenerator._gradeFields(fields, config, weights);
+            found = KakurasuLevelGenerator._isMatchingDifficulty(grade, config);
+        }
+        if(!found){
+            return null;
+        }
+
+        let generator = {
+            config: JSON.parse(JSON.stringify(config)),
+            attempts: attempts,
+            givens: givens
+        };
+        if(!!grade){
+            generator.grade = grade;
+        }
+        let state = KakurasuLevelGenerator._getState(fields, weights);
+        state.generator = generator;
+        return state;
+    }
+
+    /**
+     * The smallest square size with enough fields for the difficulty, at least the default size
+     */
+    static _getDefaultSize(difficulty){
+        let minimumFields = GRADER_MINIMUM_FIELDS[difficulty] || 1;
+        return Math.max(GENERATOR_DEFAULT_SIZE, Math.ceil(Math.sqrt(minimumFields)));
+    }
+
+    /**
+     * @param config {rows, columns, difficulty}
+     * @throws Error if the difficulty is unknown or the level has too few fields to need its techniques
+     */
+    static _checkDifficulty(config){
+        if(!config.difficulty){
+            return;
+        }
+        if(!GRADER_DIFFICULTIES.includes(config.difficulty)){
+            throw new Error("Unknown difficulty "+config.difficulty+", use one of "+GRADER_DIFFICULTIES.join(", "));
+        }
+        let minimumFields = GRADER_MINIMUM_FIELDS[config.difficulty];
+        if(config.rows*config.columns < minimumFields){
+            throw new Error("Levels with difficulty "+config.difficulty+" need at least "+minimumFields+" fields, "+
+                config.rows+"x"+config.columns+" has "+(config.rows*config.columns));
+        }
+    }
+
+    /**
+     * Get the weights of a scheme
+     * @param scheme "default" (1, 2, 3, ...), "primes" (2, 3, 5, ...), "powersOfTwo" (1, 2, 4, ...) or
+     * "reversed" (..., 3, 2, 1)
+     * @param length the amount of weights
+     * @returns {[]} list of weights
+     */
+    static getWeights(scheme, length){
+        let weights = [];
+        for(let i=0; i<length; i++){
+            switch(scheme){
+                case WEIGHT_SCHEME_DEFAULT:
+                    weights.push(i+1);
+                    break;
+                case WEIGHT_SCHEME_PRIMES:
+                    weights.push(KakurasuLevelGenerator._getNextPrime(i > 0 ? weights[i-1] : 1));
+                    break;
+                case WEIGHT_SCHEME_POWERS_OF_TWO:
+                    weights.push(Math.pow(2, i));
+                    break;
+                case WEIGHT_SCHEME_REVERSED:
+                    weights.push(length-i);
+                    break;
+                default:
+                    throw new Error("Unknown weight scheme "+scheme+", use one of "+WEIGHT_SCHEMES.join(", "));
+            }
+        }
+        return weights;
+    }
+
+    static _getNextPrime(number){
+        let candidate = number+1;
+        while(true){
+            let isPrime = true;
+            for(let divisor=2; divisor*divisor<=candidate; divisor++){
+                if(candidate%divisor === 0){
+                    isPrime = false;
+                    break;
+                }
+            }
+            if(isPrime){
+                return candidate;
+            }
+            candidate++;
+        }
+    }
+
+    /**
+     * The weights of the config are a scheme for rows and columns, or {rows, columns} each a scheme or a list of
+     * weights
+     * @returns {null|{rows: [], columns: []}} null for the default weights
+     */
+    static _getWeightsOfConfig(config){
+        if(!config.weights || config.weights === WEIGHT_SCHEME_DEFAULT){
+            return null;
+        }
+        let configWeights = typeof config.weights === "string" ? {rows: config.weights, columns: config.weights} : config.weights;
+        let weights = {};
+        let lengths = {rows: config.rows, columns: config.columns};
+        let lineKeys = Object.keys(lengths);
+        for(let i=0; i<lineKeys.length; i++){
+            let lineKey = lineKeys[i];
+            let lineWeights = configWeights[lineKey] || WEIGHT_SCHEME_DEFAULT;
+            if(!Array.isArray(lineWeights)){
+                lineWeights = KakurasuLevelGenerator.getWeights(lineWeights, lengths[lineKey]);
+            }
+            if(lineWeights.length !== lengths[lineKey] || !lineWeights.every(KakurasuSaveFormat._isWeight)){
+                throw new Error("The weights of the "+lineKey+" have to be "+lengths[lineKey]+" positive integers up to "+SAVE_FORMAT_MAX_WEIGHT);
+            }
+            weights[lineKey] = lineWeights.slice();
+        }
+        return weights;
+    }
+
+    static _getState(fields, weights){
+        let state = {fields: Kakurasu._fieldsAsJSON(fields)};
+        if(!!weights){
+            state.weights = weights;
+        }
+        return state;
+    }
+
+    /**
+     * Levels are only graded if a difficulty is requested, since grading needs to solve the level
+     */
+    static _gradeFields(fields, config, weights){
+        if(!config.difficulty){
+            return null;
+        }
+        let grader = new KakurasuGrader(KakurasuLevelGenerator._getState(fields, weights));
+        return grader.grade({maxNodes: GENERATOR_MAX_SOLVER_NODES});
+    }
+
+    static _isMatchingDifficulty(grade, config){
+        return !config.difficulty || (!!grade && grade.difficulty === config.difficulty);
+    }
+
+    static _solveFields(fields, weights){
+        let solver = new KakurasuSolver(KakurasuLevelGenerator._getState(fields, weights));
+        return solver.solve({limit: 2, maxNodes: GENERATOR_MAX_SOLVER_NODES});
+    }
+
+    /**
+     * Reveals fields of the predefined solution as read only fields, until the deductions of the solver find the
+     * whole solution without guessing, which makes it unique. A field is revealed in the line with the fewest possible
+     * completions, since it helps the deductions the most.
+     * @returns {number} amount of revealed fields
+     */
+    static _revealGivensUntilUnique(fields, random, weights){
+        let amountGivens = 0;
+        let solver = new KakurasuSolver(KakurasuLevelGenerator._getState(fields, weights));
+        let grid = solver._getInitialGrid();
+        let dirtyLines = Array.from(Array(solver.lines.length).keys());
+        while(solver._propagate(grid, dirtyLines) && grid.includes(SOLVER_CELL_UNKNOWN)){
+            let line = solver._selectLineToGuess(grid);
+            let unknownCells = line.cells.filter(cell => grid[cell] === SOLVER_CELL_UNKNOWN);
+            let cell = unknownCells[KakurasuLevelGenerator._getRandomInt(0, unknownCells.length-1, random)];
+            let field = fields[Kakurasu._getFieldKey(Math.floor(cell/solver.amountColumns), cell%solver.amountColumns)];
+            field.setStatus(field.isSolution() ? STATUS_ACTIVE : STATUS_FLAGGED);
+            field.setReadOnly(true);
+            grid[cell] = field.isSolution() ? SOLVER_CELL_ACTIVE : SOLVER_CELL_EMPTY;
+            dirtyLines = solver.linesOfCell[cell].slice(0);
+            amountGivens++;
+        }
+        return amountGivens-KakurasuLevelGenerator._removeNeedlessGivens(fields, random, weights);
+    }
+
+    /**
+     * Clears the revealed fields again, which the deductions of the solver also find without them
+     * @returns {number} amount of cleared fields
+     */
+    static _removeNeedlessGivens(fields, random, weights){
+        let amountRemoved = 0;
+        let givenFieldKeys = KakurasuLevelGenerator._shuffle(Object.keys(fields).filter(key => fields[key].isReadOnly()), random);
+        for(let i=0; i<givenFieldKeys.length; i++){
+            let field = fields[givenFieldKeys[i]];
+            let status = field.getStatus();
+            field.setStatus(STATUS_CLEAR);
+            field.setReadOnly(false);
+            let solver = new KakurasuSolver(KakurasuLevelGenerator._getState(fields, weights));
+            let grid = solver._getInitialGrid();
+            if(solver._propagate(grid, Array.from(Array(solver.lines.length).keys())) && !grid.includes(SOLVER_CELL_UNKNOWN)){
+                amountRemoved++;
+            } else {
+                field.setStatus(status);
+                field.setReadOnly(true);
+            }
+        }
+        return amountRemoved;
+    }
+
+    static _setSolutionFieldsForRowColumn(forRow, fields, config, random){
+        let outerLength = forRow ? config.rows : config.columns;
+        for(let outerIndex=0; outerIndex<outerLength; outerIndex++){
+            let solutionIndexes = [];
+            if(forRow){
+                solutionIndexes = KakurasuLevelGenerator._selectRandomAmountIndexes(config.columns, config.amountMinimumInColumn, config.amountMaximumInColumn, random);
+            } else {
+                solutionIndexes = KakurasuLevelGenerator._selectRandomAmountIndexes(config.rows, config.amountMinimumInRow, config.amountMaximumInRow, random);
+            }
+            for(let i=0; i<solutionIndexes.length; i++){
+                let solutionIndex = solutionIndexes[i];
+                let row = forRow ? outerIndex : solutionIndex;
+                let column = forRow ? solutionIndex : outerIndex;
+
+                let fieldKey = Kakurasu._getFieldKey(row,column);
+                let field = fields[fieldKey];
+                field.setIsSolution(true);
+                fields[fieldKey] = field;
+            }
+        }
+        return fields;
+    }
+
+    static _initEmptyField(rows, columns){
+        let fields = {};
+
+        for(let y=0; y<rows; y++){
+            let row = y;
+            for(let x=0; x<columns; x++){
+                let column = x;
+                let fieldKey = Kakurasu._getFieldKey(row,column);
+                fields[fieldKey] = new KakurasuField();
+            }
+        }
+        return fields;
+    }
+
+    static _selectRandomAmountIndexes(maxAmount, amountMinimalSelectedIndex, amountMaximalSelectedIndex, random){
+        let amountToSelect = KakurasuLevelGenerator._getRandomInt(amountMinimalSelectedIndex,amountMaximalSelectedIndex, random);
+        let indexArray = Array.from(Array(maxAmount).keys()); // 10 => [0, 1, 2, 3, 4, 5, 6, 7, 8, 9]
+        let shuffledArray = KakurasuLevelGenerator._shuffle(indexArray, random);
+        let selectedArray = [];
+        for(let i=0; i<amountToSelect; i++){
+            selectedArray.push(shuffledArray[i]);
+        }
+        return selectedArray;
+    }
+
+    /**
+     * Returns a random integer between min (inclusive) and max (inclusive).
+     * The value is no lower than min (or the next integer greater than min
+     * if min isn't an integer) and no greater than max (or the next integer
+     * lower than max if max isn't an integer).
+     * Using Math.round() will give you a non-uniform distribution!
+     * @param random function returning a number between 0 (inclusive) and 1 (exclusive), default Math.random
+     */
+    static _getRandomInt(min, max, random = Math.random) {
+        min = Math.ceil(min);
+        max = Math.floor(max);
+        return Math.floor(random() * (max - min + 1)) + min;
+    }
+
+    /**
+     * Shuffles array in place.
+     * @param {Array} a items An array containing the items.
+     * @param random function returning a number between 0 (inclusive) and 1 (exclusive), default Math.random
+     */
+    static _shuffle(a, random = Math.random) {
+        var j, x, i;
+        for (i = a.length - 1; i > 0; i--) {
+            j = Math.floor(random() * (i + 1));
+            x = a[i];
+            a[i] = a[j];
+            a[j] = x;
+        }
+        return a;
+    }
+
+    /**
+     * Creates a seeded pseudo random number generator (mulberry32), so a level can be generated again by its seed
+     * @param seed number or string
+     * @returns {function(): number} function returning a number between 0 (inclusive) and 1 (exclusive)
+     */
+    static _createRandom(seed){
+        let state = KakurasuLevelGenerator._getSeedAsNumber(seed);
+        return () => {
+            state = (state + 0x6D2B79F5) | 0;
+            let t = Math.imul(state ^ (state >>> 15), 1 | state);
+            t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    /**
+     * Strings like "2020-04-01" are hashed, so they can be used as seed for a puzzle of the day
+     */
+    static _getSeedAsNumber(seed){
+        if(typeof seed === "number"){
+            return seed >>> 0;
+        }
+        seed = seed+"";
+        let hash = 1779033703 ^ seed.length;
+        for(let i=0; i<seed.length; i++){
+            hash = Math.imul(hash ^ seed.charCodeAt(i), 3432918353);
+            hash = (hash << 13) | (hash >>> 19);
+        }
+        return hash >>> 0;
+    }
+
+}
+
+/**
+ * A solver for the Kakarasu game. It only uses the row and column constraints and never the predefined solution of
+ * the fields, so it can check puzzles from other sources. Every line is reduced to the cells which are active or empty
+ * in all subsets of its weights summing up to the constraint, these cells are propagated to the crossing lines and
+ * if no cell can be deduced anymore the possible subsets of a line are guessed and the search backtracks on
+ * contradictions.
+ */
+class KakurasuSolver {
+
+    /**
+     * Constructor of a new solver
+     * @param game Kakurasu instance or json state of a game (see asJSON)
+     */
+    constructor(game) {
+        if(!(game instanceof Kakurasu)){
+            game = new Kakurasu(game);
+        }
+        this.game = game;
+        this._loadLines();
+        this._resetStatistics();
+    }
+
+    /**
+     * Solves the game by its constraints
+     * @param options {[limit: maximum amount of solutions to search for, default 2], [maxNodes: maximum amount of
+     * search nodes before giving up, default no maximum]}
+     * @returns {{solutions: [], complete: boolean, unique: boolean, statistics: {}}} solutions as solution[row][column]
+     * booleans, complete if the whole search space was checked
+     * @throws Error if limit or maxNodes is not a positive integer
+     */
+    solve(options = {}){
+        let startTime = Date.now();
+        this.limit = KakurasuSolver._getPositiveIntegerOption(options, "limit", SOLVER_DEFAULT_LIMIT);
+        this.maxNodes = KakurasuSolver._getPositiveIntegerOption(options, "maxNodes", Infinity);
+        this.solutions = [];
+        this.aborted = false;
+        this._resetStatistics();
+
+        let grid = this._getInitialGrid();
+        let allLines = Array.from(Array(this.lines.length).keys());
+        this._search(grid, allLines, 0);
+
+        this.statistics.solutions = this.solutions.length;
+        this.statistics.time = Date.now()-startTime;
+        let complete = !this.aborted;
+        return {
+            solutions: this.solutions,
+            complete: complete,
+            unique: complete && this.solutions.length === 1,
+            statistics: this.statistics
+        };
+    }
+
+    static _getPositiveIntegerOption(options, name, defaultValue){
+        let value = options[name];
+        if(value === undefined){
+            return defaultValue;
+        }
+        if(!Number.isInteger(value) || value < 1){
+            throw new Error("The option "+name+" of the solver has to be a positive integer, not "+value);
+        }
+        return value;
+    }
+
+    _resetStatistics(){
+        this.statistics = {
+            nodes: 0,
+            guesses: 0,
+            backtracks: 0,
+            lineChecks: 0,
+            maxDepth: 0
+        };
+    }
+
+    _loadLines(){
+        this.amountRows = this.game.getAmountRows();
+        this.amountColumns = this.game.getAmountColumns();
+        this.lines = [];
+        this.linesOfCell = [];
+        for(let row=0; row<this.amountRows; row++){
+            this.lines.push(this._createLine(true, row));
+        }
+        for(let column=0; column<this.amountColumns; column++){
+            this.lines.push(this._createLine(false, column));
+        }
+        for(let lineIndex=0; lineIndex<this.lines.length; lineIndex++){
+            let cells = this.lines[lineIndex].cells;
+            for(let i=0; i<cells.length; i++){
+                let cell = cells[i];
+                this.linesOfCell[cell] = this.linesOfCell[cell] || [];
+                this.linesOfCell[cell].push(lineIndex);
+            }
+        }
+    }
+
+    _createLine(forRow, index){
+        let fields = this.game._getFieldsInRowColumn(forRow, index);
+        let cells = [];
+        let weights = [];
+        for(let i=0; i<fields.length; i++){
+            let field = fields[i];
+            cells.push(this._getCell(field.row, field.column));
+            weights.push(this.game._getWeightForField(forRow, field));
+        }
+        return {
+            forRow: forRow,
+            index: index,
+            constraint: this.game._getConstraintValue(forRow, index),
+            cells: cells,
+            weights: weights
+        };
+    }
+
+    _getCell(row, column){
+        return row*this.amountColumns+column;
+    }
+
+    /**
+     * Read only fields are given by the puzzle, so they are already known
+     */
+    _getInitialGrid(){
+        let grid = [];
+        for(let row=0; row<this.amountRows; row++){
+            for(let column=0; column<this.amountColumns; column++){
+                let field = this.game.getField(row, column);
+                let value = SOLVER_CELL_UNKNOWN;
+                if(field.isReadOnly() && field.isActive()){
+                    value = SOLVER_CELL_ACTIVE;
+                }
+                if(field.isReadOnly() && field.isFlagged()){
+                    value = SOLVER_CELL_EMPTY;
+                }
+                grid[this._getCell(row, column)] = value;
+            }
+        }
+        return grid;
+    }
+
+    _search(grid, dirtyLines, depth){
+        this.statistics.nodes++;
+        if(depth > this.statistics.maxDepth){
+            this.statistics.maxDepth = depth;
+        }
+        if(!this._propagate(grid, dirtyLines)){
+            this.statistics.backtracks++;
+            return;
+        }
+        let line = this._selectLineToGuess(grid);
+        if(line === null){
+            this.solutions.push(this._gridAsSolution(grid));
+            return;
+        }
+        let values = line.cells.map(cell => grid[cell]);
+        let completions = KakurasuSubsetEngine.getCompletions(line.weights, line.constraint, values);
+        for(let i=0; i<completions.length; i++){
+            if(this.solutions.length >= this.limit || this.statistics.nodes >= this.maxNodes){
+                this.aborted = true;
+                return;
+            }
+            this.statistics.guesses++;
+            let guessedGrid = grid.slice(0);
+            let dirtyLines = [];
+            for(let j=0; j<line.cells.length; j++){
+                let cell = line.cells[j];
+                if(values[j] === SOLVER_CELL_UNKNOWN){
+                    guessedGrid[cell] = completions[i][j];
+                    dirtyLines = dirtyLines.concat(this.linesOfCell[cell]);
+                }
+            }
+            this._search(guessedGrid, dirtyLines, depth+1);
+        }
+    }
+
+    /**
+     * Selects the line with the fewest possible completions, since guessing there splits the search the least
+     * @returns {null|*} the line or null if all cells are known
+     */
+    _selectLineToGuess(grid){
+        let selectedLine = null;
+        let selectedAmountCompletions = null;
+        for(let lineIndex=0; lineIndex<this.lines.length; lineIndex++){
+            let line = this.lines[lineIndex];
+            let values = line.cells.map(cell => grid[cell]);
+            if(!values.includes(SOLVER_CELL_UNKNOWN)){
+                continue;
+            }
+            let amountCompletions = KakurasuSubsetEngine.countCompletions(line.weights, line.constraint, values);
+            if(selectedAmountCompletions === null || amountCompletions < selectedAmountCompletions){
+                selectedLine = line;
+                selectedAmountCompletions = amountCompletions;
+            }
+        }
+        return selectedLine;
+    }
+
+    /**
+     * Applies all deductions of the dirty lines and their crossing lines to the grid
+     * @returns {boolean} false if a line can not be satisfied anymore
+     */
+    _propagate(grid, dirtyLines){
+        let queue = dirtyLines;
+        let queued = {};
+        for(let i=0; i<queue.length; i++){
+            queued[queue[i]] = true;
+        }
+        while(queue.length > 0){
+            let lineIndex = queue.shift();
+            queued[lineIndex] = false;
+            let line = this.lines[lineIndex];
+            let values = line.cells.map(cell => grid[cell]);
+            this.statistics.lineChecks++;
+            let deducedValues = KakurasuSubsetEngine.analyseLine(line.weights, line.constraint, values);
+            if(!deducedValues){
+                this.contradictedLine = line;
+                return false;
+            }
+            for(let i=0; i<line.cells.length; i++){
+                let cell = line.cells[i];
+                if(values[i] === SOLVER_CELL_UNKNOWN && deducedValues[i] !== SOLVER_CELL_UNKNOWN){
+                    grid[cell] = deducedValues[i];
+                    let crossingLines = this.linesOfCell[cell];
+                    for(let j=0; j<crossingLines.length; j++){
+                        let crossingLine = crossingLines[j];
+                        if(crossingLine !== lineIndex && !queued[crossingLine]){
+                            queued[crossingLine] = true;
+                            queue.push(crossingLine);
+                        }
+                    }
+                }
+            }
+        }
+        return true;
+    }
+
+    _gridAsSolution(grid){
+        let solution = [];
+        for(let row=0; row<this.amountRows; row++){
+            let solutionRow = [];
+            for(let column=0; column<this.amountColumns; column++){
+                solutionRow.push(grid[this._getCell(row, column)] === SOLVER_CELL_ACTIVE);
+            }
+            solution.push(solutionRow);
+        }
+        return solution;
+    }
+
+}
+
+
+/**
+ * Grades the difficulty of a Kakarasu game by solving it like a human would. The easiest technique which still finds
+ * a cell is always used, the hardest technique needed at all decides the difficulty:
+ * singleLine (easy): a line on its own forces a cell to be active or empty
+ * intersection (medium): assuming a value for a cell contradicts a line crossing its row or column
+ * trialAndError (hard): a value has to be assumed and followed through the whole board
+ */
+class KakurasuGrader {
+
+    /**
+     * Constructor of a new grader
+     * @param game Kakurasu instance or json state of a game (see asJSON)
+     */
+    constructor(game) {
+        this.solver = new KakurasuSolver(game);
+    }
+
+    /**
+     * Grades the game
+     * @param options {[maxNodes: maximum amount of search nodes for the solver]}
+     * @returns {{difficulty: string, technique: string, score: number, solvable: boolean, unique: boolean, techniques: {}}}
+     * difficulty is null if no solution was found
+     */
+    grade(options = {}){
+        let solver = this.solver;
+        let result = solver.solve({limit: 2, maxNodes: options.maxNodes});
+        let techniques = {};
+        techniques[TECHNIQUE_SINGLE_LINE] = 0;
+        techniques[TECHNIQUE_INTERSECTION] = 0;
+        techniques[TECHNIQUE_TRIAL_AND_ERROR] = 0;
+        let grade = {
+            difficulty: null,
+            technique: null,
+            score: 0,
+            solvable: result.solutions.length > 0,
+            unique: result.unique,
+            techniques: techniques
+        };
+        if(!grade.solvable){
+            return grade;
+        }
+
+        let grid = solver._getInitialGrid();
+        while(grid.includes(SOLVER_CELL_UNKNOWN)){
+            let technique = this._applySingleLineDeduction(grid) ||
+                this._applyIntersectionDeduction(grid) ||
+                this._applyTrialAndErrorDeduction(grid, result.solutions[0]);
+            techniques[technique]++;
+        }
+
+        let hardestTechniqueIndex = 0;
+        for(let i=0; i<GRADER_TECHNIQUES.length; i++){
+            let technique = GRADER_TECHNIQUES[i];
+            if(techniques[technique] > 0){
+                hardestTechniqueIndex = i;
+            }
+            grade.score += techniques[technique]*GRADER_TECHNIQUE_SCORES[i];
+        }
+        grade.technique = GRADER_TECHNIQUES[hardestTechniqueIndex];
+        grade.difficulty = GRADER_DIFFICULTIES[hardestTechniqueIndex];
+        return grade;
+    }
+
+    /**
+     * @returns {null|string} the technique if a cell was found
+     */
+    _applySingleLineDeduction(grid){
+        let lines = this.solver.lines;
+        for(let lineIndex=0; lineIndex<lines.length; lineIndex++){
+            let line = lines[lineIndex];
+            let values = line.cells.map(cell => grid[cell]);
+            let deducedValues = KakurasuSubsetEngine.analyseLine(line.weights, line.constraint, values) || values;
+            for(let i=0; i<line.cells.length; i++){
+                if(values[i] !== deducedValues[i]){
+                    grid[line.cells[i]] = deducedValues[i];
+                    return TECHNIQUE_SINGLE_LINE;
+                }
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Assumes a value for a cell and follows it only through its row and column and the lines crossing them for a few
+     * waves of deductions
+     * @returns {null|string} the technique if a cell was found
+     */
+    _applyIntersectionDeduction(grid){
+        let found = this._applyFirstContradictedAssumption(grid, (assumedGrid, cell) => {
+            return !this._propagateWaves(assumedGrid, this.solver.linesOfCell[cell], GRADER_INTERSECTION_WAVES);
+        });
+        return found ? TECHNIQUE_INTERSECTION : null;
+    }
+
+    /**
+     * Deduces the lines and in the next wave all lines crossing the deduced cells
+     * @returns {boolean} false if a line can not be satisfied anymore
+     */
+    _propagateWaves(grid, lineIndexes, amountWaves){
+        let solver = this.solver;
+        for(let wave=0; wave<amountWaves && lineIndexes.length > 0; wave++){
+            let nextLineIndexes = [];
+            for(let i=0; i<lineIndexes.length; i++){
+                let line = solver.lines[lineIndexes[i]];
+                let values = line.cells.map(cell => grid[cell]);
+                let deducedValues = KakurasuSubsetEngine.analyseLine(line.weights, line.constraint, values);
+                if(!deducedValues){
+                    return false;
+                }
+                for(let j=0; j<line.cells.length; j++){
+                    if(values[j] !== deducedValues[j]){
+                        grid[line.cells[j]] = deducedValues[j];
+                        nextLineIndexes = nextLineIndexes.concat(solver.linesOfCell[line.cells[j]]);
+                    }
+                }
+            }
+            lineIndexes = nextLineIndexes.filter((lineIndex, index) => nextLineIndexes.indexOf(lineIndex) === index);
+        }
+        return true;
+    }
+
+    /**
+     * Assumes a value for a cell and propagates it through the whole board. If even this does not lead to a
+     * contradiction, the cell is taken from the solution like a lucky guess.
+     * @returns {string} the technique
+     */
+    _applyTrialAndErrorDeduction(grid, solution){
+        let solver = this.solver;
+        let found = this._applyFirstContradictedAssumption(grid, (assumedGrid, cell) => {
+            return !solver._propagate(assumedGrid, solver.linesOfCell[cell].slice(0));
+        });
+        if(!found){
+            let cell = grid.indexOf(SOLVER_CELL_UNKNOWN);
+            let row = Math.floor(cell/solver.amountColumns);
+            let column = cell%solver.amountColumns;
+            grid[cell] = solution[row][column] ? SOLVER_CELL_ACTIVE : SOLVER_CELL_EMPTY;
+        }
+        return TECHNIQUE_TRIAL_AND_ERROR;
+    }
+
+    /**
+     * Sets the opposite value for the first unknown cell, where the assumption leads to a contradiction
+     * @param grid the grid
+     * @param isContradiction function(assumedGrid, cell) returning if the assumption leads to a contradiction
+     * @returns {boolean} if a cell was found
+     */
+    _applyFirstContradictedAssumption(grid, isContradiction){
+        let assumptions = [SOLVER_CELL_ACTIVE, SOLVER_CELL_EMPTY];
+        for(let cell=0; cell<grid.length; cell++){
+            if(grid[cell] !== SOLVER_CELL_UNKNOWN){
+                continue;
+            }
+            for(let i=0; i<assumptions.length; i++){
+                let assumedGrid = grid.slice(0);
+                assumedGrid[cell] = assumptions[i];
+                if(isContradiction(assumedGrid, cell)){
+                    grid[cell] = assumptions[1-i];
+                    return true;
+                }
+            }
+        }
+        return false;
+    }
+
+}
+
+
+/**
+ * Builds packs of generated levels for every combination of size and difficulty. Duplicates are dropped: a level is
+ * a duplicate if its solution equals the solution of another level after rotating, mirroring or transposing it.
+ */
+class KakurasuPackBuilder {
+
+    /**
+     * Constructor of the builder
+     * @param options {[name: name of the pack], [sizes: list of sizes as number for square levels or {rows, columns},
+     * default [5]], [difficulties: list of "easy"|"medium"|"hard", default any difficulty], [amount: amount of levels
+     * for every size and difficulty, default 10], [seed: number or string to build the same pack again, default
+     * random], [weights: see KakurasuLevelGenerator.generateLevel], [onPuzzle: function(puzzle, amountPuzzles,
+     * totalPuzzles) called after every added level]}
+     */
+    constructor(options = {}) {
+        this.options = options;
+        this.name = options.name || "";
+        this.sizes = (options.sizes || PACK_DEFAULT_SIZES).map(size => {
+            return typeof size === "number" ? {rows: size, columns: size} : {rows: size.rows, columns: size.columns || size.rows};
+        });
+        this.difficulties = options.difficulties || [null];
+        this.amount = options.amount || PACK_DEFAULT_AMOUNT;
+        this.seed = options.seed !== undefined && options.seed !== null ? options.seed :
+            KakurasuLevelGenerator._getRandomInt(0, GENERATOR_MAX_SEED);
+    }
+
+    /**
+     * Generates the levels of the pack
+     * @returns {{}} the pack, see KakurasuPack
+     * @throws Error if not enough levels without duplicates are found for a size and difficulty
+     */
+    build(){
+        let random = KakurasuLevelGenerator._createRandom(this.seed);
+        let keys = {};
+        let puzzles = [];
+        let duplicates = 0;
+        let totalPuzzles = this.sizes.length*this.difficulties.length*this.amount;
+        for(let i=0; i<this.sizes.length; i++){
+            let size = this.sizes[i];
+            for(let j=0; j<this.difficulties.length; j++){
+                let difficulty = this.difficulties[j];
+                KakurasuLevelGenerator._checkDifficulty({rows: size.rows, columns: size.columns, difficulty: difficulty});
+                let amountFound = 0;
+                let attempts = 0;
+                while(amountFound < this.amount){
+                    if(attempts >= this.amount*PACK_MAX_ATTEMPTS_PER_PUZZLE){
+                        throw new Error("Only "+amountFound+" of "+this.amount+" levels of size "+size.rows+"x"+size.columns+
+                            " and difficulty "+(difficulty || PACK_DIFFICULTY_ANY)+" without duplicates found within "+attempts+" attempts");
+                    }
+                    attempts++;
+                    let config = {
+                        rows: size.rows,
+                        columns: size.columns,
+                        seed: KakurasuLevelGenerator._getRandomInt(0, GENERATOR_MAX_SEED, random)
+                    };
+                    if(!!difficulty){
+                        config.difficulty = difficulty;
+                    }
+                    if(this.options.weights !== undefined){
+                        config.weights = this.options.weights;
+                    }
+                    let state = KakurasuLevelGenerator._generateGameIfFound(config);
+                    if(state === null){
+                        continue;
+                    }
+                    let key = KakurasuPackBuilder._getCanonicalKey(state);
+                    if(keys[key]){
+                        duplicates++;
+                        continue;
+                    }
+                    keys[key] = true;
+                    amountFound++;
+                    let puzzle = KakurasuPackBuilder._createPuzzle(state, KakurasuPackBuilder._getPuzzleId(size, difficulty, amountFound));
+                    puzzles.push(puzzle);
+                    if(!!this.options.onPuzzle){
+                        this.options.onPuzzle(puzzle, puzzles.length, totalPuzzles);
+                    }
+                }
+            }
+        }
+        return {
+            version: PACK_VERSION,
+            name: this.name,
+            created: Date.now(),
+            config: {
+                sizes: this.sizes,
+                difficulties: this.difficulties.map(difficulty => difficulty || PACK_DIFFICULTY_ANY),
+                amount: this.amount,
+                seed: this.seed
+            },
+            duplicates: duplicates,
+            puzzles: puzzles
+        };
+    }
+
+    /**
+     * Builds the pack and writes it as json file
+     * @param file path of the file
+     * @returns {{}} the pack
+     */
+    writeFile(file){
+        let pack = this.build();
+        fs.writeFileSync(file, JSON.stringify(pack, null, 2));
+        return pack;
+    }
+
+    static _getPuzzleId(size, difficulty, number){
+        return size.rows+"x"+size.columns+"-"+(difficulty || PACK_DIFFICULTY_ANY)+"-"+(number+"").padStart(3, "0");
+    }
+
+    /**
+     * @returns {{}} the metadata of the level and its state
+     */
+    static _createPuzzle(state, id){
+        let game = new Kakurasu(JSON.parse(JSON.stringify(state)));
+        let grade = state.generator.grade || new KakurasuGrader(game).grade({maxNodes: GENERATOR_MAX_SOLVER_NODES});
+        let solverResult = new KakurasuSolver(game).solve({limit: 2, maxNodes: GENERATOR_MAX_SOLVER_NODES});
+        return {
+            id: id,
+            rows: game.getAmountRows(),
+            columns: game.getAmountColumns(),
+            difficulty: grade.difficulty,
+            seed: state.generator.config.seed,
+            score: grade.score,
+            technique: grade.technique,
+            givens: state.generator.givens,
+            solver: solverResult.statistics,
+            state: state
+        };
+    }
+
+    /**
+     * The key of the level is the smallest key of all rotations and mirrors of its grid. Every field of the grid has
+     * its solution, if it is given and its weights for the row and the column, so levels are only equal if the weights
+     * and the givens are moved with the solution.
+     * @returns {string} key like "2x2:1g/1/1,0/1/2;0/2/1,1/2/2"
+     */
+    static _getCanonicalKey(state){
+        let game = new Kakurasu(JSON.parse(JSON.stringify(state)));
+        let grid = [];
+        for(let row=0; row<game.getAmountRows(); row++){
+            grid.push(game.getFieldsInRow(row).map(field => {
+                return {
+                    solution: field.isSolution(),
+                    given: field.isReadOnly(),
+                    weights: [game._getWeightForField(true, field), game._getWeightForField(false, field)]
+                };
+            }));
+        }
+        let keys = [];
+        for(let i=0; i<4; i++){
+            // rotating by 90 degrees or transposing makes the rows to columns, so the weights swap too
+            keys.push(KakurasuPackBuilder._getGridKey(grid, i%2 === 1));
+            keys.push(KakurasuPackBuilder._getGridKey(KakurasuPackBuilder._transposeGrid(grid), i%2 === 0));
+            grid = KakurasuPackBuilder._rotateGrid(grid);
+        }
+        return keys.sort()[0];
+    }
+
+    /**
+     * @param swapped if the rows of the grid are the columns of the level
+     */
+    static _getGridKey(grid, swapped){
+        return grid.length+"x"+grid[0].length+":"+grid.map(row => row.map(field => {
+            let weights = swapped ? field.weights.slice(0).reverse() : field.weights;
+            return (field.solution ? 1 : 0)+(field.given ? "g" : "")+"/"+weights.join("/");
+        }).join(",")).join(";");
+    }
+
+    static _transposeGrid(grid){
+        return grid[0].map((value, column) => grid.map(row => row[column]));
+    }
+
+    /**
+     * Rotates the grid clockwise
+     */
+    static _rotateGrid(grid){
+        return grid[0].map((value, column) => grid.map(row => row[column]).reverse());
+    }
+
+}
+
+/**
+ * A pack of levels built by KakurasuPackBuilder. Every level has the metadata {id, rows, columns, difficulty, seed,
+ * score, technique, givens, solver} and the state for the Kakurasu constructor.
+ */
+class KakurasuPack {
+
+    /**
+     * Constructor of the pack
+     * @param pack the pack of KakurasuPackBuilder.build or its json
+     */
+    constructor(pack) {
+        if(typeof pack === "string"){
+            pack = JSON.parse(pack);
+        }
+        if(!pack || pack.version !== PACK_VERSION || !Array.isArray(pack.puzzles)){
+            throw new Error("Invalid pack: it has to be version "+PACK_VERSION+" with a list of puzzles");
+        }
+        this.pack = pack;
+    }
+
+    /**
+     * @param file path of a pack written by KakurasuPackBuilder.writeFile
+     * @returns {KakurasuPack}
+     */
+    static readFile(file){
+        return new KakurasuPack(fs.readFileSync(file, "utf8"));
+    }
+
+    getName(){
+        return this.pack.name;
+    }
+
+    getAmountPuzzles(filter){
+        return this.getPuzzles(filter).length;
+    }
+
+    /**
+     * @param filter [optional] {[rows], [columns], [difficulty]}
+     * @returns {[]} the metadata of all matching levels without their state
+     */
+    getPuzzles(filter = {}){
+        return this.pack.puzzles.filter(puzzle => KakurasuPack._isMatchingFilter(puzzle, filter)).map(KakurasuPack._getMetadata);
+    }
+
+    static _isMatchingFilter(puzzle, filter){
+        return (filter.rows === undefined || puzzle.rows === filter.rows) &&
+            (filter.columns === undefined || puzzle.columns === filter.columns) &&
+            (filter.difficulty === undefined || puzzle.difficulty === filter.difficulty);
+    }
+
+    static _getMetadata(puzzle){
+        let metadata = Object.assign({}, puzzle);
+        delete metadata.state;
+        return JSON.parse(JSON.stringify(metadata));
+    }
+
+    /**
+     * @param page the page starting at 0
+     * @param pageSize [optional] levels per page, default 20
+     * @param filter [optional] see getPuzzles
+     * @returns {{puzzles: [], page: number, pageSize: number, amountPages: number, amountPuzzles: number}}
+     */
+    getPage(page, pageSize = PACK_DEFAULT_PAGE_SIZE, filter){
+        let puzzles = this.getPuzzles(filter);
+        return {
+            puzzles: puzzles.slice(page*pageSize, (page+1)*pageSize),
+            page: page,
+            pageSize: pageSize,
+            amountPages: Math.ceil(puzzles.length/pageSize),
+            amountPuzzles: puzzles.length
+        };
+    }
+
+    /**
+     * @returns {null|{}} the metadata of the level
+     */
+    getPuzzle(id){
+        let puzzle = this.pack.puzzles.find(puzzle => puzzle.id === id);
+        return !!puzzle ? KakurasuPack._getMetadata(puzzle) : null;
+    }
+
+    /**
+     * @returns {null|Kakurasu} a new game of the level
+     */
+    getGame(id){
+        let puzzle = this.pack.puzzles.find(puzzle => puzzle.id === id);
+        return !!puzzle ? new Kakurasu(JSON.parse(JSON.stringify(puzzle.state))) : null;
+    }
+
+    /**
+     * @returns {[]} all sizes as "<rows>x<columns>" in the order of the pack
+     */
+    getSizes(){
+        return KakurasuPack._getUnique(this.pack.puzzles.map(puzzle => puzzle.rows+"x"+puzzle.columns));
+    }
+
+    /**
+     * @returns {[]} all difficulties in the order of the pack
+     */
+    getDifficulties(){
+        return KakurasuPack._getUnique(this.pack.puzzles.map(puzzle => puzzle.difficulty));
+    }
+
+    static _getUnique(values){
+        return values.filter((value, index) => values.indexOf(value) === index);
+    }
+
+    asJSON(){
+        return this.pack;
+    }
+
+}
+
+
+/**
+ * Subset engine for the lines of a board: the subsets of the weights of a line which sum up to its constraint,
+ * optionally with cells already fixed as included or excluded. Values of cells are -1 (unknown), 0 (excluded) and
+ * 1 (included) like the cells of the solver. The reachable sums are calculated by dynamic programming instead of
+ * trying every subset, the results of analyseLine and countCompletions are memoized.
+ */
+class KakurasuSubsetEngine {
+
+    /**
+     * Enumerates all subsets of the weights which sum up to the constraint
+     * @param weights list of weights
+     * @param constraint the sum of every subset
+     * @param values [optional] the fixed values of the cells, default all unknown
+     * @returns {[]} list of subsets, every subset is the list of its weights
+     */
+    static getSubsets(weights, constraint, values){
+        let completions = KakurasuSubsetEngine.getCompletions(weights, constraint, values);
+        return completions.map(completion => weights.filter((weight, i) => completion[i] === SOLVER_CELL_ACTIVE));
+    }
+
+    /**
+     * Enumerates all completions of the unknown cells of a line which satisfy the constraint. Only branches which can
+     * still reach the constraint are followed, so every step of the enumeration leads to a completion.
+     * @param weights the weights of the cells in the line
+     * @param constraint the constraint value of the line
+     * @param values [optional] the fixed values of the cells, default all unknown
+     * @returns {[]} list of values for the whole line
+     */
+    static getCompletions(weights, constraint, values = KakurasuSubsetEngine._getUnknownValues(weights)){
+        let completions = [];
+        let remaining = KakurasuSubsetEngine.getRemainingConstraint(weights, constraint, values);
+        if(!KakurasuSubsetEngine._isReachable(weights, remaining, values)){
+            return completions;
+        }
+        let unknownIndexes = [];
+        for(let i=0; i<values.length; i++){
+            if(values[i] === SOLVER_CELL_UNKNOWN){
+                unknownIndexes.push(i);
+            }
+        }
+        let reachableAfter = [];
+        reachableAfter[unknownIndexes.length] = KakurasuSubsetEngine._getReachableSumsStart(remaining);
+        for(let k=unknownIndexes.length-1; k>=0; k--){
+            reachableAfter[k] = KakurasuSubsetEngine._addWeightToReachableSums(reachableAfter[k+1], weights[unknownIndexes[k]]);
+        }
+        let completion = values.slice(0);
+        let addCompletions = (k, rest) => {
+            if(!reachableAfter[k][rest]){
+                return;
+            }
+            if(k === unknownIndexes.length){
+                completions.push(completion.slice(0));
+                return;
+            }
+            let index = unknownIndexes[k];
+            if(weights[index] <= rest){
+                completion[index] = SOLVER_CELL_ACTIVE;
+                addCompletions(k+1, rest-weights[index]);
+            }
+            completion[index] = SOLVER_CELL_EMPTY;
+            addCompletions(k+1, rest);
+        };
+        addCompletions(0, remaining);
+        return completions;
+    }
+
+    /**
+     * Deduces the cells of a line which are included or excluded in every subset of the weights summing up to the
+     * constraint
+     * @param weights the weights of the cells in the line
+     * @param constraint the constraint value of the line
+     * @param values [optional] the fixed values of the cells, default all unknown
+     * @returns {null|[]} the values with all deduced cells or null if no subset can satisfy the constraint
+     */
+    static analyseLine(weights, constraint, values = KakurasuSubsetEngine._getUnknownValues(weights)){
+        let deducedValues = KakurasuSubsetEngine._getMemoized("analyse", weights, constraint, values,
+            () => KakurasuSubsetEngine._analyseLine(weights, constraint, values));
+        return deducedValues !== null ? deducedValues.slice(0) : null;
+    }
+
+    /**
+     * Counts the subsets of the unknown cells of a line which satisfy the constraint
+     * @param weights the weights of the cells in the line
+     * @param constraint the constraint value of the line
+     * @param values [optional] the fixed values of the cells, default all unknown
+     * @returns {number} amount of possible completions of the line
+     */
+    static countCompletions(weights, constraint, values = KakurasuSubsetEngine._getUnknownValues(weights)){
+        return KakurasuSubsetEngine._getMemoized("count", weights, constraint, values,
+            () => KakurasuSubsetEngine._countCompletions(weights, constraint, values));
+    }
+
+    /**
+     * @returns {number} the constraint without the weights of the included cells
+     */
+    static getRemainingConstraint(weights, constraint, values){
+        let remaining = constraint;
+        for(let i=0; i<values.length; i++){
+            if(values[i] === SOLVER_CELL_ACTIVE){
+                remaining -= weights[i];
+            }
+        }
+        return remaining;
+    }
+
+    /**
+     * Empties the memoized results
+     */
+    static clearCache(){
+        SUBSET_ENGINE_CACHE.clear();
+    }
+
+    static _getUnknownValues(weights){
+        return new Array(weights.length).fill(SOLVER_CELL_UNKNOWN);
+    }
+
+    /**
+     * The cache is emptied when it is full, lines of one board are calculated again fast enough
+     */
+    static _getMemoized(type, weights, constraint, values, calculate){
+        let key = type+"|"+weights.join(",")+"|"+constraint+"|"+values.join("");
+        if(SUBSET_ENGINE_CACHE.has(key)){
+            return SUBSET_ENGINE_CACHE.get(key);
+        }
+        if(SUBSET_ENGINE_CACHE.size >= SUBSET_ENGINE_MAX_CACHE_SIZE){
+            SUBSET_ENGINE_CACHE.clear();
+        }
+        let result = calculate();
+        SUBSET_ENGINE_CACHE.set(key, result);
+        return result;
+    }
+
+    /**
+     * The reachable sums before and after every unknown cell are calculated once, so not every subset has to be
+     * enumerated
+     * @see analyseLine
+     */
+    static _analyseLine(weights, constraint, values){
+        let remaining = KakurasuSubsetEngine.getRemainingConstraint(weights, constraint, values);
+        let unknownIndexes = [];
+        for(let i=0; i<values.length; i++){
+            if(values[i] === SOLVER_CELL_UNKNOWN){
+                unknownIndexes.push(i);
+            }
+        }
+        if(!KakurasuSubsetEngine._isReachable(weights, remaining, values)){
+            return null;
+        }
+
+        let amountUnknown = unknownIndexes.length;
+        let reachableBefore = [KakurasuSubsetEngine._getReachableSumsStart(remaining)];
+        for(let k=0; k<amountUnknown; k++){
+            let weight = weights[unknownIndexes[k]];
+            reachableBefore.push(KakurasuSubsetEngine._addWeightToReachableSums(reachableBefore[k], weight));
+        }
+        if(!reachableBefore[amountUnknown][remaining]){
+            return null;
+        }
+        let reachableAfter = [];
+        reachableAfter[amountUnknown] = KakurasuSubsetEngine._getReachableSumsStart(remaining);
+        for(let k=amountUnknown-1; k>=0; k--){
+            let weight = weights[unknownIndexes[k]];
+            reachableAfter[k] = KakurasuSubsetEngine._addWeightToReachableSums(reachableAfter[k+1], weight);
+        }
+
+        let deducedValues = values.slice(0);
+        for(let k=0; k<amountUnknown; k++){
+            let weight = weights[unknownIndexes[k]];
+            let canBeActive = false;
+            let canBeEmpty = false;
+            for(let sum=0; sum<=remaining; sum++){
+                if(!reachableBefore[k][sum]){
+                    continue;
+                }
+                let rest = remaining-sum;
+                if(reachableAfter[k+1][rest]){
+                    canBeEmpty = true;
+                }
+                if(rest >= weight && reachableAfter[k+1][rest-weight]){
+                    canBeActive = true;
+                }
+            }
+            if(!canBeActive){
+                deducedValues[unknownIndexes[k]] = SOLVER_CELL_EMPTY;
+            } else if(!canBeEmpty){
+                deducedValues[unknownIndexes[k]] = SOLVER_CELL_ACTIVE;
+            }
+        }
+        return deducedValues;
+    }
+
+    /**
+     * @see countCompletions
+     */
+    static _countCompletions(weights, constraint, values){
+        let remaining = KakurasuSubsetEngine.getRemainingConstraint(weights, constraint, values);
+        if(!KakurasuSubsetEngine._isReachable(weights, remaining, values)){
+            return 0;
+        }
+        let ways = new Array(remaining+1).fill(0);
+        ways[0] = 1;
+        for(let i=0; i<values.length; i++){
+            if(values[i] !== SOLVER_CELL_UNKNOWN){
+                continue;
+            }
+            for(let sum=remaining; sum>=weights[i]; sum--){
+                ways[sum] += ways[sum-weights[i]];
+            }
+        }
+        return ways[remaining];
+    }
+
+    /**
+     * The reachable sums need memory up to the remaining constraint, so it is checked first if the unknown cells can
+     * reach it at all
+     */
+    static _isReachable(weights, remaining, values){
+        let unknownSum = 0;
+        for(let i=0; i<values.length; i++){
+            if(values[i] === SOLVER_CELL_UNKNOWN){
+                unknownSum += weights[i];
+            }
+        }
+        return remaining >= 0 && remaining <= unknownSum;
+    }
+
+    static _getReachableSumsStart(maxSum){
+        let reachable = new Array(maxSum+1).fill(false);
+        reachable[0] = true;
+        return reachable;
+    }
+
+    static _addWeightToReachableSums(reachable, weight){
+        let next = reachable.slice(0);
+        for(let sum=reachable.length-1; sum>=weight; sum--){
+            if(reachable[sum-weight]){
+                next[sum] = true;
+            }
+        }
+        return next;
+    }
+
+}
 
 module.exports.Kakurasu = Kakurasu;
 module.exports.KakurasuField = KakurasuField;
-module.exports.KakurasuLevelGenerator = KakurasuLevelGenerator;
\ No newline at end of file
+module.exports.KakurasuLevelGenerator = KakurasuLevelGenerator;
+module.exports.KakurasuSolver = KakurasuSolver;
+module.exports.KakurasuGrader = KakurasuGrader;
+module.exports.KakurasuSubsetEngine = KakurasuSubsetEngine;
+module.exports.KakurasuSaveFormat = KakurasuSaveFormat;
+module.exports.KakurasuStateError = KakurasuStateError;
+module.exports.KakurasuShareCode = KakurasuShareCode;
+module.exports.KakurasuReplay = KakurasuReplay;
+module.exports.KakurasuParseError = KakurasuParseError;
+module.exports.KakurasuTextFormat = KakurasuTextFormat;
+module.exports.KakurasuCsvFormat = KakurasuCsvFormat;
+module.exports.KakurasuUrlFormat = KakurasuUrlFormat;
+module.exports.KakurasuSvgRenderer = KakurasuSvgRenderer;
+module.exports.KakurasuPackBuilder = KakurasuPackBuilder;
+module.exports.KakurasuPack = KakurasuPack;
+module.exports.KakurasuProfile = KakurasuProfile;
+module.exports.KakurasuMemoryStorage = KakurasuMemoryStorage;
+module.exports.KakurasuFileSystemStorage = KakurasuFileSystemStorage;
+module.exports.KakurasuLocalStorage = KakurasuLocalStorage;
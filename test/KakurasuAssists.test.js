@@ -0,0 +1,89 @@
+const test = require("node:test");
+const assert = require("assert");
+const {Kakurasu, KakurasuLevelGenerator} = require("../src/index.js");
+
+const SIZE = 5;
+
+function createGame(seed, assists){
+    let game = new Kakurasu(KakurasuLevelGenerator.generateGame({rows: SIZE, seed: seed}));
+    game.setAssists(assists);
+    return game;
+}
+
+/**
+ * Makes the correct move for a field, activates it if it is part of the solution and flags it otherwise
+ */
+function makeSolutionMove(game, row, column){
+    if(game.getField(row, column).isSolution()){
+        game.setFieldActive(row, column);
+    } else {
+        game.setFieldFlagged(row, column);
+    }
+}
+
+function getAssistMoves(game, assist){
+    let moves = [];
+    for(let i=0; i<game.getAmountMoves(); i++){
+        let move = game.getMoveFromHistoryAsCopy(i);
+        if(move.assist === assist){
+            moves = moves.concat(move.moves);
+        }
+    }
+    return moves;
+}
+
+test("autoComplete only completes the row and column of the move of the player", () => {
+    for(let seed=1; seed<=10; seed++){
+        for(let row=0; row<SIZE; row++){
+            for(let column=0; column<SIZE; column++){
+                let game = createGame(seed, {autoComplete: true, autoFlag: true});
+                if(game.getField(row, column).isReadOnly()){
+                    continue;
+                }
+                makeSolutionMove(game, row, column);
+                assert.strictEqual(game.isGameWon(), false, "seed "+seed+" field "+row+","+column);
+                let moves = getAssistMoves(game, "autoComplete");
+                assert.ok(moves.every(move => move.row === row || move.column === column));
+            }
+        }
+    }
+});
+
+test("autoFlag follows the lines crossing the fields activated by autoComplete", () => {
+    let game = Kakurasu.fromConstraints({rows: [4, 1, 0], columns: [3, 0, 1]});
+    game.setAssists({autoComplete: true, autoFlag: true});
+    game.setFieldFlagged(0, 1);
+    assert.strictEqual(game.getField(0, 0).isActive(), true);
+    assert.strictEqual(game.getField(0, 2).isActive(), true);
+    assert.strictEqual(game.getField(1, 1).isFlagged(), true);
+    assert.strictEqual(game.getField(1, 2).isFlagged(), true);
+    assert.strictEqual(game.getField(2, 2).isFlagged(), true);
+    assert.strictEqual(game.getField(1, 0).isClear(), true);
+    assert.strictEqual(game.isGameWon(), false);
+});
+
+test("assisted moves are undone before the move of the player", () => {
+    let game = Kakurasu.fromConstraints({rows: [4, 1, 0], columns: [3, 0, 1]});
+    game.setAssists({autoComplete: true, autoFlag: true});
+    game.setFieldFlagged(0, 1);
+    assert.strictEqual(game.getStatistics().moves, 1);
+    assert.strictEqual(game.getStatistics().assistedMoves, 2);
+    game.undoMove();
+    assert.strictEqual(game.getField(1, 2).isClear(), true);
+    assert.strictEqual(game.getField(0, 0).isActive(), true);
+    game.undoMove();
+    assert.strictEqual(game.getField(0, 0).isClear(), true);
+    assert.strictEqual(game.getField(0, 1).isFlagged(), true);
+});
+
+test("keeps the assists of a game in its saved state", () => {
+    let game = Kakurasu.fromConstraints({rows: [4, 1, 0], columns: [3, 0, 1]});
+    assert.deepStrictEqual(game.getAssists(), {autoFlag: false, autoComplete: false, markSatisfied: true});
+    game.setAssists({autoFlag: true});
+    game.setAssists({markSatisfied: false});
+    let loadedGame = new Kakurasu(JSON.parse(JSON.stringify(game.asJSON())));
+    assert.deepStrictEqual(loadedGame.getAssists(), {autoFlag: true, autoComplete: false, markSatisfied: false});
+    assert.throws(() => game.setAssists({autoSolve: true}), /Unknown assist autoSolve/);
+    assert.throws(() => game.setAssists({autoFlag: "yes"}), /The assist autoFlag has to be a boolean/);
+    assert.strictEqual(game.getAssists().autoFlag, true);
+});
@@ -0,0 +1,72 @@
+const test = require("node:test");
+const assert = require("assert");
+const {Kakurasu, KakurasuSaveFormat} = require("../src/index.js");
+
+function createGame(){
+    let solution = [
+        [true, false, false],
+        [false, true, false],
+        [false, false, true]
+    ];
+    let fields = {};
+    for(let row=0; row<solution.length; row++){
+        for(let column=0; column<solution[row].length; column++){
+            fields[Kakurasu._getFieldKey(row, column)] = {status: 0, solution: solution[row][column]};
+        }
+    }
+    fields[Kakurasu._getFieldKey(0, 1)].readOnly = true;
+    return new Kakurasu({fields: fields});
+}
+
+function getStatuses(game){
+    return game.getFieldsAll().map(field => field.getStatus());
+}
+
+test("applies many fields as one move and skips read only fields", () => {
+    let game = createGame();
+    let changed = game.applyMoves([
+        {row: 0, column: 0, status: 1},
+        {row: 0, column: 1, status: 1},
+        {row: 1, column: 1, status: 2}
+    ]);
+    assert.strictEqual(changed, true);
+    assert.deepStrictEqual(getStatuses(game), [1, 0, 0, 0, 2, 0, 0, 0, 0]);
+    assert.strictEqual(game.getAmountMoves(), 1);
+
+    game.undoMove();
+    assert.deepStrictEqual(getStatuses(game), [0, 0, 0, 0, 0, 0, 0, 0, 0]);
+    game.redoMove();
+    assert.deepStrictEqual(getStatuses(game), [1, 0, 0, 0, 2, 0, 0, 0, 0]);
+});
+
+test("does not make a move if no field changes", () => {
+    let game = createGame();
+    assert.strictEqual(game.applyMoves([{row: 0, column: 1, status: 1}, {row: 2, column: 2, status: 0}]), false);
+    assert.strictEqual(game.getAmountMoves(), 0);
+});
+
+test("fills and flags the remaining fields of rows and columns", () => {
+    let game = createGame();
+    game.setFieldActive(0, 0);
+    assert.strictEqual(game.flagRemainingInRow(0), true);
+    assert.deepStrictEqual(getStatuses(game), [1, 0, 2, 0, 0, 0, 0, 0, 0]);
+    assert.strictEqual(game.fillRemainingInColumn(2), true);
+    assert.deepStrictEqual(getStatuses(game), [1, 0, 2, 0, 0, 1, 0, 0, 1]);
+    assert.strictEqual(game.flagRemainingInColumn(1), true);
+    assert.strictEqual(game.fillRemainingInRow(2), true);
+    assert.deepStrictEqual(getStatuses(game), [1, 0, 2, 0, 2, 1, 1, 2, 1]);
+    assert.strictEqual(game.fillRemainingInRow(2), false);
+
+    game.undoMove();
+    assert.deepStrictEqual(getStatuses(game), [1, 0, 2, 0, 2, 1, 0, 2, 1]);
+});
+
+test("keeps batch moves in saved states", () => {
+    let game = createGame();
+    game.fillRemainingInRow(1);
+    let state = KakurasuSaveFormat.load(JSON.parse(JSON.stringify(game.asJSON())));
+    let loadedGame = new Kakurasu(state);
+    assert.deepStrictEqual(getStatuses(loadedGame), [0, 0, 0, 1, 1, 1, 0, 0, 0]);
+    loadedGame.undoMove();
+    assert.deepStrictEqual(getStatuses(loadedGame), [0, 0, 0, 0, 0, 0, 0, 0, 0]);
+});
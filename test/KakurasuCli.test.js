@@ -0,0 +1,75 @@
+const test = require("node:test");
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {spawnSync} = require("child_process");
+
+const CLI = path.join(__dirname, "..", "bin", "kakurasu.js");
+
+function run(args){
+    return spawnSync(process.execPath, [CLI].concat(args), {encoding: "utf8", timeout: 60000});
+}
+
+function writeGame(args){
+    let file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "kakurasu-")), "game.json");
+    let result = run(["generate", "--output", file].concat(args));
+    assert.strictEqual(result.status, 0, result.stderr);
+    return file;
+}
+
+test("generates the same game for the same seed", () => {
+    let result = run(["generate", "--rows", "4", "--columns", "6", "--seed", "12"]);
+    assert.strictEqual(result.status, 0, result.stderr);
+    let state = JSON.parse(result.stdout);
+    assert.strictEqual(Object.keys(state.fields).length, 24);
+    let otherState = JSON.parse(run(["generate", "--rows", "4", "--columns", "6", "--seed", "12"]).stdout);
+    assert.deepStrictEqual(otherState.fields, state.fields);
+});
+
+test("solves and checks a saved game", () => {
+    let file = writeGame(["--rows", "5", "--seed", "3"]);
+    let solved = run(["solve", file]);
+    assert.strictEqual(solved.status, 0, solved.stderr);
+    assert.match(solved.stdout, /1 solution\(s\), all solutions found, unique/);
+
+    let checked = run(["check", file]);
+    assert.strictEqual(checked.status, 0, checked.stderr);
+    assert.match(checked.stdout, /No mistakes found, game is not won yet/);
+});
+
+test("prints the usage for an unknown command", () => {
+    let result = run(["unknown"]);
+    assert.strictEqual(result.status, 1);
+    assert.match(result.stdout, /Usage: kakurasu <command> \[options\]/);
+});
+
+test("rejects an option without a value", () => {
+    let results = [run(["generate", "--rows"]), run(["generate", "--rows", "--seed", "1"])];
+    for(let i=0; i<results.length; i++){
+        assert.strictEqual(results[i].status, 1);
+        assert.match(results[i].stderr, /The option --rows needs a value/);
+        assert.match(results[i].stderr, /Usage: kakurasu/);
+    }
+});
+
+test("rejects sizes and limits which are not positive integers", () => {
+    let invalidArguments = [
+        ["generate", "--rows", "abc"],
+        ["generate", "--columns", "0"],
+        ["generate", "--rows", "2.5"],
+        ["solve", "game.json", "--limit", "abc"]
+    ];
+    for(let i=0; i<invalidArguments.length; i++){
+        let result = run(invalidArguments[i]);
+        assert.strictEqual(result.status, 1);
+        assert.match(result.stderr, /has to be a positive integer, not /);
+        assert.match(result.stderr, /Usage: kakurasu/);
+    }
+});
+
+test("rejects unknown assists", () => {
+    let result = run(["play", "--rows", "3", "--assists", "autoFlag,autoSolve"]);
+    assert.strictEqual(result.status, 1);
+    assert.match(result.stderr, /Unknown assist autoSolve, use autoFlag, autoComplete, markSatisfied/);
+});
@@ -0,0 +1,66 @@
+const test = require("node:test");
+const assert = require("assert");
+const {Kakurasu} = require("../src/index.js");
+
+function createGame(solution){
+    let fields = {};
+    for(let row=0; row<solution.length; row++){
+        for(let column=0; column<solution[row].length; column++){
+            fields[Kakurasu._getFieldKey(row, column)] = {status: 0, solution: solution[row][column]};
+        }
+    }
+    return new Kakurasu({fields: fields});
+}
+
+const DIAGONAL = [
+    [true, false, false],
+    [false, true, false],
+    [false, false, true]
+];
+
+const AMBIGUOUS = [
+    [true, true, false],
+    [true, true, false],
+    [false, false, true]
+];
+
+test("lists no conflicts for a new game", () => {
+    assert.deepStrictEqual(createGame(DIAGONAL).getConflicts(), {lines: [], fields: []});
+});
+
+test("lists a line exceeding its constraint and the wrong active field", () => {
+    let game = createGame(DIAGONAL);
+    game.setFieldActive(0, 2);
+    let conflicts = game.getConflicts();
+    assert.deepStrictEqual(conflicts.lines, [
+        {forRow: true, index: 0, constraint: 1, activeSum: 3, reason: "exceeded"}
+    ]);
+    assert.deepStrictEqual(conflicts.fields, [
+        {row: 0, column: 2, status: 1, reason: "activeNotInSolution"}
+    ]);
+});
+
+test("lists a line which can not be reached anymore and the wrong flagged field", () => {
+    let game = createGame(DIAGONAL);
+    game.setFieldFlagged(1, 1);
+    let conflicts = game.getConflicts();
+    assert.deepStrictEqual(conflicts.lines.map(line => line.reason), ["notReachable", "notReachable"]);
+    assert.deepStrictEqual(conflicts.fields, [
+        {row: 1, column: 1, status: 2, reason: "flaggedInSolution"}
+    ]);
+});
+
+test("accepts fields which are part of any solution", () => {
+    let game = createGame(AMBIGUOUS);
+    game.setFieldActive(0, 0);
+    game.setFieldFlagged(2, 0);
+    assert.deepStrictEqual(game.getConflicts(), {lines: [], fields: []});
+});
+
+test("lists no field conflicts for a board without a solution", () => {
+    let state = createGame(DIAGONAL).asJSON();
+    state.fields[Kakurasu._getFieldKey(0, 1)] = {status: 1, solution: false, readOnly: true};
+    let conflicts = new Kakurasu(state).getConflicts();
+    assert.deepStrictEqual(conflicts.lines.map(line => line.reason), ["exceeded", "notReachable"]);
+    assert.deepStrictEqual(conflicts.fields, []);
+});
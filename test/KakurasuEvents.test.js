@@ -0,0 +1,85 @@
+const test = require("node:test");
+const assert = require("assert");
+const {Kakurasu} = require("../src/index.js");
+
+function createGame(){
+    let solution = [
+        [true, false, false],
+        [false, true, false],
+        [false, false, true]
+    ];
+    let fields = {};
+    for(let row=0; row<solution.length; row++){
+        for(let column=0; column<solution[row].length; column++){
+            fields[Kakurasu._getFieldKey(row, column)] = {status: 0, solution: solution[row][column]};
+        }
+    }
+    return new Kakurasu({fields: fields});
+}
+
+function recordEvents(game){
+    let events = [];
+    ["move", "undo", "redo", "reset", "lineSatisfied", "won"].forEach(event => {
+        game.on(event, (payload, emittingGame) => {
+            assert.strictEqual(emittingGame, game);
+            events.push({event: event, payload: payload});
+        });
+    });
+    return events;
+}
+
+test("emits moves with the changed fields", () => {
+    let game = createGame();
+    let events = recordEvents(game);
+    game.setFieldFlagged(0, 1);
+    assert.strictEqual(events.length, 1);
+    assert.strictEqual(events[0].event, "move");
+    let change = events[0].payload.changes[0];
+    assert.deepStrictEqual([change.row, change.column, change.previousStatus, change.nextStatus], [0, 1, 0, 2]);
+    assert.strictEqual(change.field, game.getField(0, 1));
+});
+
+test("emits satisfied lines and the won game", () => {
+    let game = createGame();
+    let events = recordEvents(game);
+    game.setFieldActive(0, 0);
+    game.setFieldActive(1, 1);
+    game.setFieldActive(2, 2);
+    let satisfiedLines = events.filter(entry => entry.event === "lineSatisfied").map(entry => entry.payload);
+    assert.deepStrictEqual(satisfiedLines, [
+        {forRow: true, index: 0, constraint: 1},
+        {forRow: false, index: 0, constraint: 1},
+        {forRow: true, index: 1, constraint: 2},
+        {forRow: false, index: 1, constraint: 2},
+        {forRow: true, index: 2, constraint: 3},
+        {forRow: false, index: 2, constraint: 3}
+    ]);
+    let lastEvent = events[events.length-1];
+    assert.strictEqual(lastEvent.event, "won");
+    assert.strictEqual(lastEvent.payload.amountMoves, 3);
+    assert.strictEqual(lastEvent.payload.statistics.moves, 3);
+});
+
+test("emits undo, redo and reset", () => {
+    let game = createGame();
+    game.setFieldActive(0, 0);
+    let events = recordEvents(game);
+    game.undoMove();
+    game.redoMove();
+    game.resetGame();
+    assert.deepStrictEqual(events.map(entry => entry.event), ["undo", "redo", "lineSatisfied", "lineSatisfied", "reset"]);
+    assert.strictEqual(events[0].payload.changes[0].nextStatus, 0);
+    assert.strictEqual(events[1].payload.changes[0].nextStatus, 1);
+});
+
+test("unsubscribes listeners and rejects unknown events", () => {
+    let game = createGame();
+    let calls = 0;
+    let listener = () => calls++;
+    game.on("move", listener);
+    assert.strictEqual(game.off("move", listener), true);
+    assert.strictEqual(game.off("move", listener), false);
+    game.setFieldActive(0, 0);
+    assert.strictEqual(calls, 0);
+    assert.throws(() => game.on("unknown", listener), /Unknown event unknown/);
+});
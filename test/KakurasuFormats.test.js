@@ -0,0 +1,78 @@
+const test = require("node:test");
+const assert = require("assert");
+const {Kakurasu, KakurasuTextFormat, KakurasuCsvFormat, KakurasuUrlFormat, KakurasuParseError} = require("../src/index.js");
+
+const TEXT = [
+    " |1|2|3| ",
+    "-+-+-+-+-",
+    "1| |A| |4",
+    "-+-+-+-+-",
+    "2| | |x|2",
+    "-+-+-+-+-",
+    "3| | | |5",
+    "-+-+-+-+-",
+    " |1|5|4|"
+].join("\n");
+
+const CSV = [
+    ",1,2,3,",
+    "1,,A,,4",
+    "2,,,x,2",
+    "3,,,,5",
+    ",1,5,4,"
+].join("\n");
+
+function getPuzzle(game){
+    let rows = [];
+    for(let row=0; row<game.getAmountRows(); row++){
+        rows.push(game.getConstraintValueForRow(row));
+    }
+    let columns = [];
+    for(let column=0; column<game.getAmountColumns(); column++){
+        columns.push(game.getConstraintValueForColumn(column));
+    }
+    let statuses = game.getFieldsAll().map(field => field.getStatus());
+    return {rows: rows, columns: columns, statuses: statuses};
+}
+
+function assertParseError(parse, text, line, column, reason){
+    assert.throws(() => parse(text), error => {
+        assert.ok(error instanceof KakurasuParseError);
+        assert.strictEqual(error.line, line);
+        assert.strictEqual(error.column, column);
+        assert.match(error.reason, reason);
+        return true;
+    });
+}
+
+test("parses and formats the text format", () => {
+    let game = KakurasuTextFormat.parse(TEXT);
+    assert.deepStrictEqual(getPuzzle(game), {rows: [4, 2, 5], columns: [1, 5, 4], statuses: [0, 1, 0, 0, 0, 2, 0, 0, 0]});
+    assert.deepStrictEqual(getPuzzle(KakurasuTextFormat.parse(KakurasuTextFormat.format(game))), getPuzzle(game));
+});
+
+test("parses and formats csv and tsv", () => {
+    let game = KakurasuCsvFormat.parse(CSV);
+    assert.deepStrictEqual(getPuzzle(game), getPuzzle(KakurasuTextFormat.parse(TEXT)));
+    assert.strictEqual(KakurasuCsvFormat.format(game), CSV+"\n");
+    let tsv = KakurasuCsvFormat.format(game, {delimiter: "\t"});
+    assert.strictEqual(tsv, CSV.replace(/,/g, "\t")+"\n");
+    assert.deepStrictEqual(getPuzzle(KakurasuCsvFormat.parse(tsv)), getPuzzle(game));
+});
+
+test("parses and formats puzz.link urls", () => {
+    let game = KakurasuUrlFormat.parse("https://puzz.link/p?kakurasu/3/3/154425");
+    assert.deepStrictEqual(getPuzzle(game), {rows: [4, 2, 5], columns: [1, 5, 4], statuses: [0, 0, 0, 0, 0, 0, 0, 0, 0]});
+    assert.strictEqual(KakurasuUrlFormat.format(game), "https://puzz.link/p?kakurasu/3/3/154425");
+
+    let weightedGame = Kakurasu.fromConstraints({rows: [2, 3], columns: [2, 3]}, {rows: [2, 3], columns: [2, 3]});
+    assert.throws(() => KakurasuUrlFormat.format(weightedGame), /Games with custom weights can not be exported as url/);
+});
+
+test("reports the line and the column of parse errors", () => {
+    assertParseError(KakurasuTextFormat.parse, TEXT.replace("1| |A| |4", "1| |B| |4"), 3, 5, /the field "B" has to be empty/);
+    assertParseError(KakurasuTextFormat.parse, TEXT.replace("2| | |x|2", "2| | |x"), 5, 7, /the line has to contain 5 cells/);
+    assertParseError(KakurasuCsvFormat.parse, CSV.replace("3,,,,5", "3,,,,a"), 4, 6, /the row constraint "a" has to be a number/);
+    assertParseError(KakurasuCsvFormat.parse, CSV.replace(",1,2,3,", ",1,2,1001,"), 1, 6, /the column weight 1001 has to be at most 1000/);
+    assertParseError(KakurasuUrlFormat.parse, "https://puzz.link/p?kakurasu/3/3/1544", 1, 34, /the url has to contain 6 constraints/);
+});
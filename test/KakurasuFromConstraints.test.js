@@ -0,0 +1,71 @@
+const test = require("node:test");
+const assert = require("assert");
+const {Kakurasu, KakurasuShareCode, KakurasuStateError} = require("../src/index.js");
+
+function play(game, solution){
+    for(let row=0; row<solution.length; row++){
+        for(let column=0; column<solution[row].length; column++){
+            if(solution[row][column]){
+                game.setFieldActive(row, column);
+            }
+        }
+    }
+}
+
+const AMBIGUOUS_SOLUTIONS = [
+    [
+        [true, true, false],
+        [true, true, false],
+        [false, false, true]
+    ],
+    [
+        [false, false, true],
+        [false, false, true],
+        [true, true, false]
+    ]
+];
+
+test("uses the solution of the solver if it is unique", () => {
+    let game = Kakurasu.fromConstraints({rows: [1, 2, 3], columns: [1, 2, 3]});
+    assert.strictEqual(game.getConstraintValueForRow(2), 3);
+    assert.strictEqual(game.isSolutionKnown(), true);
+    assert.deepStrictEqual(game.getAllPredefinedSolutionFields().map(field => [field.row, field.column]), [[0, 0], [1, 1], [2, 2]]);
+
+    play(game, [[true, false, false], [false, true, false], [false, false, true]]);
+    assert.strictEqual(game.isGameWon(), true);
+    assert.strictEqual(game.isPredefinedSolutionFound(), true);
+});
+
+test("knows no solution if the constraints have more than one solution", () => {
+    for(let i=0; i<AMBIGUOUS_SOLUTIONS.length; i++){
+        let game = Kakurasu.fromConstraints({rows: [3, 3, 3], columns: [3, 3, 3]});
+        assert.strictEqual(game.isSolutionKnown(), false);
+        assert.strictEqual(game.getAllPredefinedSolutionFields(), null);
+        play(game, AMBIGUOUS_SOLUTIONS[i]);
+        assert.strictEqual(game.isGameWon(), true);
+        assert.strictEqual(game.isPredefinedSolutionFound(), false);
+    }
+});
+
+test("knows no solution if the constraints have none", () => {
+    let game = Kakurasu.fromConstraints({rows: [2], columns: [2]});
+    assert.strictEqual(game.isSolutionKnown(), false);
+    assert.deepStrictEqual(game.getConflicts().fields, []);
+});
+
+test("keeps the constraints in the saved game", () => {
+    let game = Kakurasu.fromConstraints({rows: [3, 3, 3], columns: [3, 3, 3]});
+    let state = JSON.parse(JSON.stringify(game.asJSON()));
+    assert.deepStrictEqual(state.constraints, {rows: [3, 3, 3], columns: [3, 3, 3]});
+    assert.strictEqual(new Kakurasu(state).getConstraintValueForColumn(1), 3);
+});
+
+test("decodes share codes with more than one solution", () => {
+    let game = KakurasuShareCode.decode("k1.3x3.3-3-3.3-3-3");
+    assert.strictEqual(game.isSolutionKnown(), false);
+});
+
+test("rejects constraints without rows or columns", () => {
+    assert.throws(() => Kakurasu.fromConstraints({rows: [1, 2]}), KakurasuStateError);
+    assert.throws(() => Kakurasu.fromConstraints({rows: [1, 2], columns: [1, -3]}), /constraints columns value 1 has to be a non negative integer/);
+});
@@ -0,0 +1,55 @@
+const test = require("node:test");
+const assert = require("assert");
+const {Kakurasu, KakurasuLevelGenerator, KakurasuGrader} = require("../src/index.js");
+
+function createState(solution){
+    let fields = {};
+    for(let row=0; row<solution.length; row++){
+        for(let column=0; column<solution[row].length; column++){
+            fields[Kakurasu._getFieldKey(row, column)] = {status: 0, solution: solution[row][column]};
+        }
+    }
+    return {fields: fields};
+}
+
+test("grades a level solved by single lines as easy", () => {
+    let grade = new KakurasuGrader(createState([
+        [true, false, false],
+        [false, true, false],
+        [false, false, true]
+    ])).grade();
+    assert.strictEqual(grade.solvable, true);
+    assert.strictEqual(grade.unique, true);
+    assert.strictEqual(grade.difficulty, "easy");
+    assert.strictEqual(grade.technique, "singleLine");
+    assert.strictEqual(grade.techniques.singleLine, 9);
+    assert.strictEqual(grade.score, 9);
+});
+
+for(let difficulty of ["easy", "medium", "hard"]){
+    test("generates a "+difficulty+" level", () => {
+        let state = KakurasuLevelGenerator.generateGame({difficulty: difficulty});
+        assert.strictEqual(state.generator.grade.difficulty, difficulty);
+        assert.strictEqual(new KakurasuGrader(state).grade().difficulty, difficulty);
+    });
+}
+
+test("generates hard levels as 7x7 by default", () => {
+    let config = {difficulty: "hard"};
+    KakurasuLevelGenerator.generateGame(config);
+    assert.strictEqual(config.rows, 7);
+    assert.strictEqual(config.columns, 7);
+    assert.strictEqual(config.maxAttempts, 1000);
+});
+
+test("rejects a difficulty the size can not reach", () => {
+    assert.throws(() => KakurasuLevelGenerator.generateGame({rows: 4, difficulty: "medium"}),
+        /Levels with difficulty medium need at least 25 fields, 4x4 has 16/);
+    assert.throws(() => KakurasuLevelGenerator.generateGame({rows: 6, difficulty: "hard"}),
+        /need at least 48 fields/);
+});
+
+test("rejects an unknown difficulty", () => {
+    assert.throws(() => KakurasuLevelGenerator.generateGame({difficulty: "extreme"}),
+        /Unknown difficulty extreme, use one of easy, medium, hard/);
+});
@@ -0,0 +1,65 @@
+const test = require("node:test");
+const assert = require("assert");
+const {Kakurasu, KakurasuLevelGenerator} = require("../src/index.js");
+
+function createGame(solution){
+    let fields = {};
+    for(let row=0; row<solution.length; row++){
+        for(let column=0; column<solution[row].length; column++){
+            fields[Kakurasu._getFieldKey(row, column)] = {status: 0, solution: solution[row][column]};
+        }
+    }
+    return new Kakurasu({fields: fields});
+}
+
+function applyHint(game, hint){
+    if(hint.action === "activate"){
+        game.setFieldActive(hint.row, hint.column);
+    } else {
+        game.setFieldFlagged(hint.row, hint.column);
+    }
+}
+
+const DIAGONAL = [
+    [true, false, false],
+    [false, true, false],
+    [false, false, true]
+];
+
+test("explains a field forced by a single line", () => {
+    let hint = createGame(DIAGONAL).getHint();
+    assert.strictEqual(hint.row, 0);
+    assert.strictEqual(hint.column, 0);
+    assert.strictEqual(hint.action, "activate");
+    assert.strictEqual(hint.technique, "singleLine");
+    assert.strictEqual(hint.explanation.text, "row 1 needs 1; the only subset of the open weights {1, 2, 3} that sums to 1 contains 1");
+});
+
+test("leads to the solution by following the hints", () => {
+    let game = createGame(DIAGONAL);
+    let hint = game.getHint();
+    while(hint !== null){
+        assert.strictEqual(hint.action === "activate", DIAGONAL[hint.row][hint.column]);
+        applyHint(game, hint);
+        hint = game.getHint();
+    }
+    assert.strictEqual(game.isGameWon(), true);
+});
+
+test("only gives hints matching the solution of generated levels", () => {
+    for(let difficulty of ["easy", "medium", "hard"]){
+        let game = new Kakurasu(KakurasuLevelGenerator.generateGame({difficulty: difficulty, seed: 7}));
+        let hint = game.getHint();
+        while(hint !== null){
+            assert.strictEqual(hint.action === "activate", !!game.getField(hint.row, hint.column).isSolution());
+            applyHint(game, hint);
+            hint = game.getHint();
+        }
+    }
+});
+
+test("gives no hint while the fields of the player contradict the constraints", () => {
+    let game = createGame(DIAGONAL);
+    game.setFieldActive(0, 2);
+    assert.strictEqual(game.getHint(), null);
+});
@@ -0,0 +1,123 @@
+const test = require("node:test");
+const assert = require("assert");
+const {Kakurasu, KakurasuLevelGenerator, KakurasuSolver} = require("../src/index.js");
+
+const SIZES = [
+    {rows: 3, columns: 7},
+    {rows: 7, columns: 3},
+    {rows: 15, columns: 25},
+    {rows: 25, columns: 15}
+];
+
+function getSolutionSum(game, forRow, index){
+    let fields = forRow ? game.getFieldsInRow(index) : game.getFieldsInColumn(index);
+    return fields.filter(field => field.isSolution())
+        .reduce((sum, field) => sum+(forRow ? field.column : field.row)+1, 0);
+}
+
+test("generates levels with a unique solution by default", () => {
+    for(let i=0; i<5; i++){
+        let state = KakurasuLevelGenerator.generateGame({rows: 5});
+        assert.strictEqual(state.generator.config.unique, true);
+        assert.strictEqual(new KakurasuSolver(state).solve().unique, true);
+    }
+});
+
+test("generates a unique level for a new game without fields", () => {
+    let game = new Kakurasu();
+    assert.ok(game.state.generator.attempts >= 1);
+    assert.strictEqual(new KakurasuSolver(game).solve().unique, true);
+});
+
+test("accepts the first level if uniqueness is not requested", () => {
+    let state = KakurasuLevelGenerator.generateGame({rows: 5, unique: false});
+    assert.strictEqual(state.generator.attempts, 1);
+    assert.strictEqual(state.generator.givens, 0);
+});
+
+test("reveals read only givens of the solution if no unique level is found in time", () => {
+    let state = KakurasuLevelGenerator.generateGame({rows: 6, maxAttempts: 1});
+    assert.strictEqual(state.generator.attempts, 1);
+    let game = new Kakurasu(state);
+    let readOnlyFields = Object.keys(game.state.fields).map(key => game.state.fields[key]).filter(field => field.isReadOnly());
+    assert.strictEqual(readOnlyFields.length, state.generator.givens);
+    for(let i=0; i<readOnlyFields.length; i++){
+        assert.strictEqual(readOnlyFields[i].isActive(), !!readOnlyFields[i].isSolution());
+    }
+    assert.strictEqual(new KakurasuSolver(game).solve().unique, true);
+});
+
+test("generates the same level again from the same seed", () => {
+    let state = KakurasuLevelGenerator.generateGame({rows: 6, seed: 42});
+    let otherState = KakurasuLevelGenerator.generateGame({rows: 6, seed: 42});
+    assert.deepStrictEqual(otherState, state);
+    assert.strictEqual(state.generator.config.seed, 42);
+
+    let differentState = KakurasuLevelGenerator.generateGame({rows: 6, seed: 43});
+    assert.notDeepStrictEqual(differentState.fields, state.fields);
+});
+
+test("accepts strings as seed", () => {
+    let state = KakurasuLevelGenerator.generateGame({seed: "2020-04-01", difficulty: "medium"});
+    assert.deepStrictEqual(KakurasuLevelGenerator.generateGame({seed: "2020-04-01", difficulty: "medium"}), state);
+});
+
+test("keeps a random seed in the game state to generate the level again", () => {
+    let game = new Kakurasu();
+    let seed = game.state.generator.config.seed;
+    assert.ok(Number.isInteger(seed));
+    let otherGame = new Kakurasu({generator: {config: {seed: seed}}});
+    assert.deepStrictEqual(otherGame.asJSON().fields, game.asJSON().fields);
+});
+
+for(let i=0; i<SIZES.length; i++){
+    let size = SIZES[i];
+    let name = size.rows+"x"+size.columns;
+
+    test("generates a unique "+name+" level", () => {
+        let startTime = Date.now();
+        let state = KakurasuLevelGenerator.generateGame({rows: size.rows, columns: size.columns, seed: 1});
+        assert.ok(Date.now()-startTime < 15000, "took "+(Date.now()-startTime)+"ms");
+        assert.strictEqual(Object.keys(state.fields).length, size.rows*size.columns);
+        assert.ok(state.generator.givens < size.rows*size.columns/3, state.generator.givens+" givens");
+
+        let result = new KakurasuSolver(state).solve({limit: 2, maxNodes: 2000});
+        assert.strictEqual(result.unique, true);
+    });
+
+    test("loads the dimensions and lines of a "+name+" game", () => {
+        let game = new Kakurasu(KakurasuLevelGenerator.generateGame({rows: size.rows, columns: size.columns, seed: 2}));
+        assert.strictEqual(game.getAmountRows(), size.rows);
+        assert.strictEqual(game.getAmountColumns(), size.columns);
+        assert.strictEqual(game.getField(size.rows-1, size.columns-1).row, size.rows-1);
+        assert.strictEqual(game.getField(size.rows-1, size.columns-1).column, size.columns-1);
+        for(let row=0; row<size.rows; row++){
+            assert.strictEqual(game.getFieldsInRow(row).length, size.columns);
+            assert.strictEqual(game.getConstraintValueForRow(row), getSolutionSum(game, true, row));
+        }
+        for(let column=0; column<size.columns; column++){
+            assert.strictEqual(game.getFieldsInColumn(column).length, size.rows);
+            assert.strictEqual(game.getConstraintValueForColumn(column), getSolutionSum(game, false, column));
+        }
+    });
+
+    test("prints a "+name+" game", () => {
+        let game = new Kakurasu(KakurasuLevelGenerator.generateGame({rows: size.rows, columns: size.columns, seed: 3}));
+        let lines = game.print().split("\n");
+        assert.strictEqual(lines.length, 2*size.rows+3);
+        assert.strictEqual(lines[0].split("|").length, size.columns+2);
+        assert.strictEqual(lines[lines.length-1].split("|").length, size.columns+2);
+    });
+}
+
+test("solves a generated wide level only by its constraints", () => {
+    let state = KakurasuLevelGenerator.generateGame({rows: 4, columns: 9, seed: 4});
+    let game = new Kakurasu(state);
+    let solution = new KakurasuSolver(state).solve().solutions[0];
+    for(let row=0; row<4; row++){
+        for(let column=0; column<9; column++){
+            let field = game.getField(row, column);
+            assert.strictEqual(solution[row][column], !!field.isSolution() || (field.isReadOnly() && field.isActive()));
+        }
+    }
+});
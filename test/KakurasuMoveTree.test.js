@@ -0,0 +1,94 @@
+const test = require("node:test");
+const assert = require("assert");
+const {Kakurasu} = require("../src/index.js");
+
+function createGame(){
+    let solution = [
+        [true, false, false],
+        [false, true, false],
+        [false, false, true]
+    ];
+    let fields = {};
+    for(let row=0; row<solution.length; row++){
+        for(let column=0; column<solution[row].length; column++){
+            fields[Kakurasu._getFieldKey(row, column)] = {status: 0, solution: solution[row][column]};
+        }
+    }
+    return new Kakurasu({fields: fields});
+}
+
+function getActiveFields(game){
+    return game.getFieldsAll().filter(field => field.isActive()).map(field => [field.row, field.column]);
+}
+
+test("keeps undone moves in their own branch", () => {
+    let game = createGame();
+    game.setFieldActive(0, 0);
+    game.setFieldActive(1, 1);
+    game.undoMove();
+    game.setFieldActive(2, 2);
+    assert.deepStrictEqual(game.getBranches(), [
+        {node: 1, amountMoves: 2, active: false},
+        {node: 2, amountMoves: 2, active: true}
+    ]);
+
+    assert.strictEqual(game.switchToBranch(1), true);
+    assert.deepStrictEqual(getActiveFields(game), [[0, 0], [1, 1]]);
+    assert.strictEqual(game.redoMove(), false);
+    game.undoMove();
+    assert.deepStrictEqual(getActiveFields(game), [[0, 0]]);
+    assert.strictEqual(game.redoMove(), true);
+    assert.deepStrictEqual(getActiveFields(game), [[0, 0], [1, 1]]);
+
+    assert.strictEqual(game.switchToBranch(5), false);
+    assert.strictEqual(game.switchToBranch(null), false);
+});
+
+test("restores named checkpoints across branches", () => {
+    let game = createGame();
+    game.setCheckpoint("start");
+    game.setFieldActive(0, 0);
+    game.setCheckpoint("before guess A");
+    game.setFieldActive(1, 2);
+    game.restoreCheckpoint("before guess A");
+    game.setFieldActive(1, 1);
+    assert.deepStrictEqual(game.getCheckpoints(), [
+        {name: "start", node: null, amountMoves: 0},
+        {name: "before guess A", node: 0, amountMoves: 1}
+    ]);
+
+    assert.strictEqual(game.restoreCheckpoint("start"), true);
+    assert.deepStrictEqual(getActiveFields(game), []);
+    assert.strictEqual(game.restoreCheckpoint("before guess A"), true);
+    assert.deepStrictEqual(getActiveFields(game), [[0, 0]]);
+
+    assert.strictEqual(game.deleteCheckpoint("start"), true);
+    assert.strictEqual(game.deleteCheckpoint("start"), false);
+    assert.strictEqual(game.restoreCheckpoint("start"), false);
+    assert.deepStrictEqual(game.getCheckpoints().map(checkpoint => checkpoint.name), ["before guess A"]);
+});
+
+test("undoes moves until there are no conflicts", () => {
+    let game = createGame();
+    game.setFieldActive(0, 0);
+    game.setFieldActive(0, 2);
+    game.setFieldFlagged(2, 0);
+    assert.strictEqual(game.revertToLastConsistentState(), 2);
+    assert.deepStrictEqual(getActiveFields(game), [[0, 0]]);
+    assert.strictEqual(game.revertToLastConsistentState(), 0);
+    assert.strictEqual(game.redoMove(), true);
+});
+
+test("keeps the branches and checkpoints in the saved game", () => {
+    let game = createGame();
+    game.setFieldActive(0, 0);
+    game.setCheckpoint("first");
+    game.setFieldActive(1, 1);
+    game.undoMove();
+    game.setFieldFlagged(2, 1);
+    let loadedGame = new Kakurasu(JSON.parse(JSON.stringify(game.asJSON())));
+    assert.deepStrictEqual(loadedGame.getBranches(), game.getBranches());
+    assert.deepStrictEqual(loadedGame.getCheckpoints(), game.getCheckpoints());
+    loadedGame.switchToBranch(1);
+    assert.deepStrictEqual(getActiveFields(loadedGame), [[0, 0], [1, 1]]);
+});
@@ -0,0 +1,69 @@
+const test = require("node:test");
+const assert = require("assert");
+const {Kakurasu, KakurasuPackBuilder, KakurasuPack} = require("../src/index.js");
+
+function createState(solution, readOnly = [], weights){
+    let fields = {};
+    for(let row=0; row<solution.length; row++){
+        for(let column=0; column<solution[row].length; column++){
+            fields[Kakurasu._getFieldKey(row, column)] = {status: 0, solution: solution[row][column]};
+        }
+    }
+    readOnly.forEach(key => {
+        fields[key].status = 1;
+        fields[key].readOnly = true;
+    });
+    let state = {fields: fields};
+    if(weights !== undefined){
+        state.weights = weights;
+    }
+    return state;
+}
+
+test("finds the same key for rotated and mirrored levels only with the same weights and givens", () => {
+    let key = KakurasuPackBuilder._getCanonicalKey(createState([[true, false, false], [true, true, false]]));
+    assert.strictEqual(KakurasuPackBuilder._getCanonicalKey(createState([[false, false, true], [false, true, true]], [],
+        {rows: [1, 2], columns: [3, 2, 1]})), key);
+    assert.strictEqual(KakurasuPackBuilder._getCanonicalKey(createState([[true, true], [false, true], [false, false]])), key);
+
+    let weightedKey = KakurasuPackBuilder._getCanonicalKey(createState([[true, false, false], [true, true, false]], [],
+        {rows: [1, 2], columns: [3, 1, 4]}));
+    assert.notStrictEqual(weightedKey, key);
+    let givenKey = KakurasuPackBuilder._getCanonicalKey(createState([[true, false, false], [true, true, false]], [Kakurasu._getFieldKey(0, 0)]));
+    assert.notStrictEqual(givenKey, key);
+});
+
+test("builds the same pack for the same seed", () => {
+    let options = {name: "test", sizes: [4, {rows: 4, columns: 5}], amount: 3, seed: 7};
+    let pack = new KakurasuPackBuilder(options).build();
+    assert.strictEqual(pack.puzzles.length, 6);
+    assert.deepStrictEqual(pack.puzzles.map(puzzle => puzzle.id).slice(2, 4), ["4x4-any-003", "4x5-any-001"]);
+    let keys = pack.puzzles.map(puzzle => KakurasuPackBuilder._getCanonicalKey(puzzle.state));
+    assert.strictEqual(new Set(keys).size, keys.length);
+    assert.deepStrictEqual(new KakurasuPackBuilder(options).build().puzzles.map(puzzle => puzzle.state),
+        pack.puzzles.map(puzzle => puzzle.state));
+});
+
+test("throws for configs which can not be built instead of skipping them", () => {
+    assert.throws(() => new KakurasuPackBuilder({sizes: [3], weights: {rows: [1, 2]}, amount: 1}).build(),
+        /The weights of the rows have to be 3 positive integers/);
+    assert.throws(() => new KakurasuPackBuilder({sizes: [3], difficulties: ["hard"], amount: 1}).build(),
+        /Levels with difficulty hard need at least/);
+});
+
+test("pages and filters the levels of a pack", () => {
+    let built = new KakurasuPackBuilder({name: "test", sizes: [4, 5], amount: 3, seed: 3}).build();
+    let pack = new KakurasuPack(JSON.stringify(built));
+    assert.strictEqual(pack.getName(), "test");
+    assert.deepStrictEqual(pack.getSizes(), ["4x4", "5x5"]);
+    assert.strictEqual(pack.getAmountPuzzles({rows: 5}), 3);
+
+    let page = pack.getPage(1, 4);
+    assert.deepStrictEqual([page.puzzles.length, page.amountPages, page.amountPuzzles], [2, 2, 6]);
+    assert.strictEqual(page.puzzles[0].state, undefined);
+
+    let game = pack.getGame("5x5-any-002");
+    assert.strictEqual(game.getAmountRows(), 5);
+    assert.strictEqual(pack.getGame("6x6-any-001"), null);
+    assert.throws(() => new KakurasuPack({version: 0, puzzles: []}), /Invalid pack/);
+});
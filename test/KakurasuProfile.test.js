@@ -0,0 +1,92 @@
+const test = require("node:test");
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {Kakurasu, KakurasuProfile, KakurasuMemoryStorage, KakurasuFileSystemStorage} = require("../src/index.js");
+
+const DAY = 24*60*60*1000;
+
+function createGame(){
+    let solution = [
+        [true, false, false],
+        [false, true, false],
+        [false, false, true]
+    ];
+    let fields = {};
+    for(let row=0; row<solution.length; row++){
+        for(let column=0; column<solution[row].length; column++){
+            fields[Kakurasu._getFieldKey(row, column)] = {status: 0, solution: solution[row][column]};
+        }
+    }
+    return new Kakurasu({fields: fields});
+}
+
+function createWonGame(){
+    let game = createGame();
+    game.setFieldActive(0, 0);
+    game.setFieldActive(1, 1);
+    game.setFieldActive(2, 2);
+    return game;
+}
+
+test("records a won game only once", () => {
+    let profile = new KakurasuProfile(new KakurasuMemoryStorage());
+    let game = createWonGame();
+    assert.throws(() => profile.recordGame(createGame()), /Only won games can be recorded/);
+
+    let record = profile.recordGame(game);
+    assert.strictEqual(record.rows, 3);
+    assert.strictEqual(record.moves, 3);
+    game.undoMove();
+    game.redoMove();
+    assert.strictEqual(profile.recordGame(game), null);
+    assert.strictEqual(profile.getGames().length, 1);
+    assert.deepStrictEqual(profile.getCompletions(), {total: 1, sizes: {"3x3": 1}});
+    assert.deepStrictEqual(profile.getBest(3, 3), {score: record.score, elapsedTime: record.elapsedTime});
+});
+
+test("counts the days in a row with a finished game", (context) => {
+    let profile = new KakurasuProfile(new KakurasuMemoryStorage());
+    let now = 100*DAY;
+    context.mock.method(Date, "now", () => now);
+    profile.recordGame(createWonGame());
+    now += DAY;
+    profile.recordGame(createWonGame());
+    assert.deepStrictEqual(profile.getStreak(), {current: 2, longest: 2});
+
+    now += 3*DAY;
+    assert.deepStrictEqual(profile.getStreak(), {current: 0, longest: 2});
+    profile.recordGame(createWonGame());
+    assert.deepStrictEqual(profile.getStreak(), {current: 1, longest: 2});
+});
+
+test("keeps unfinished games and removes them when they are recorded", () => {
+    let profile = new KakurasuProfile(new KakurasuMemoryStorage());
+    let game = createGame();
+    game.setFieldActive(0, 0);
+    profile.saveUnfinishedGame("a", game);
+    assert.deepStrictEqual(profile.getUnfinishedGames().map(entry => entry.id), ["a"]);
+    let loadedGame = profile.loadUnfinishedGame("a");
+    assert.strictEqual(loadedGame.getField(0, 0).isActive(), true);
+    assert.strictEqual(profile.loadUnfinishedGame("b"), null);
+
+    loadedGame.setFieldActive(1, 1);
+    loadedGame.setFieldActive(2, 2);
+    profile.recordGame(loadedGame, "a");
+    assert.deepStrictEqual(profile.getUnfinishedGames(), []);
+});
+
+test("loads a saved profile from the file system", () => {
+    let directory = fs.mkdtempSync(path.join(os.tmpdir(), "kakurasu-profile-"));
+    try{
+        let profile = new KakurasuProfile(new KakurasuFileSystemStorage(directory), "player");
+        profile.recordGame(createWonGame());
+        let loadedProfile = new KakurasuProfile(new KakurasuFileSystemStorage(directory), "player");
+        assert.strictEqual(loadedProfile.getName(), "player");
+        assert.deepStrictEqual(loadedProfile.getGames(), profile.getGames());
+        assert.strictEqual(loadedProfile.getLeaderboard({rows: 3, columns: 3}).length, 1);
+    }finally{
+        fs.rmSync(directory, {recursive: true, force: true});
+    }
+});
@@ -0,0 +1,94 @@
+const test = require("node:test");
+const assert = require("assert");
+const {Kakurasu, KakurasuReplay} = require("../src/index.js");
+
+function createGame(){
+    let solution = [
+        [true, false, false],
+        [false, true, false],
+        [false, false, true]
+    ];
+    let fields = {};
+    for(let row=0; row<solution.length; row++){
+        for(let column=0; column<solution[row].length; column++){
+            fields[Kakurasu._getFieldKey(row, column)] = {status: 0, solution: solution[row][column]};
+        }
+    }
+    return new Kakurasu({fields: fields});
+}
+
+function getActiveFields(game){
+    return game.getFieldsAll().filter(field => field.isActive()).map(field => [field.row, field.column]);
+}
+
+function setMoveTimes(state, times){
+    for(let i=0; i<times.length; i++){
+        state.moveHistory[i].time = times[i];
+        state.moveTree.nodes[state.moveTree.activeBranch[i]].move.time = times[i];
+    }
+    return state;
+}
+
+test("steps through the applied moves without changing the game", () => {
+    let game = createGame();
+    game.setFieldActive(0, 0);
+    game.setFieldActive(1, 1);
+    game.setFieldActive(2, 2);
+    game.undoMove();
+    let replay = new KakurasuReplay(game);
+    assert.strictEqual(replay.getAmountMoves(), 2);
+    assert.strictEqual(replay.getPosition(), 0);
+    assert.deepStrictEqual(getActiveFields(replay.getGame()), []);
+
+    assert.strictEqual(replay.stepForward(), true);
+    assert.deepStrictEqual(getActiveFields(replay.getGame()), [[0, 0]]);
+    replay.goTo(5);
+    assert.strictEqual(replay.getPosition(), 2);
+    assert.strictEqual(replay.stepForward(), false);
+    assert.strictEqual(replay.getCurrentMove().move.row, 1);
+    replay.goTo(0);
+    assert.strictEqual(replay.getCurrentMove(), null);
+    assert.strictEqual(replay.stepBackward(), false);
+    assert.deepStrictEqual(getActiveFields(game), [[0, 0], [1, 1]]);
+});
+
+test("lists the elapsed time and moves contradicting the solution", () => {
+    let game = createGame();
+    game.setFieldActive(0, 0);
+    game.setFieldActive(0, 1);
+    game.setFieldFlagged(2, 2);
+    let replay = new KakurasuReplay(setMoveTimes(game.asJSON(), [1000, 1500, 4000]));
+    assert.deepStrictEqual(replay.getMoves().map(move => [move.time, move.elapsed, move.contradictsSolution]), [
+        [1000, 0, false],
+        [1500, 500, true],
+        [4000, 3000, true]
+    ]);
+    assert.deepStrictEqual(replay.getContradictingMoves().map(move => move.index), [1, 2]);
+});
+
+test("knows no contradicting moves without a unique solution", () => {
+    let game = Kakurasu.fromConstraints({rows: [3, 3, 3], columns: [3, 3, 3]});
+    game.setFieldActive(0, 0);
+    let replay = new KakurasuReplay(game);
+    assert.strictEqual(replay.getMoves()[0].contradictsSolution, null);
+    assert.deepStrictEqual(replay.getContradictingMoves(), []);
+});
+
+test("plays the moves until the end", (context, done) => {
+    let game = createGame();
+    game.setFieldActive(0, 0);
+    game.setFieldActive(1, 1);
+    let replay = new KakurasuReplay(setMoveTimes(game.asJSON(), [0, 20]));
+    let steps = [];
+    replay.play({
+        speed: 100,
+        onStep: move => steps.push(move.index),
+        onEnd: () => {
+            assert.deepStrictEqual(steps, [0, 1]);
+            assert.strictEqual(replay.isPlaying(), false);
+            assert.deepStrictEqual(getActiveFields(replay.getGame()), [[0, 0], [1, 1]]);
+            done();
+        }
+    });
+    assert.strictEqual(replay.isPlaying(), true);
+});
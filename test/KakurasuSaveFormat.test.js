@@ -0,0 +1,91 @@
+const test = require("node:test");
+const assert = require("assert");
+const {Kakurasu, KakurasuLevelGenerator, KakurasuSaveFormat, KakurasuStateError} = require("../src/index.js");
+
+function createVersion1State(){
+    let fields = KakurasuLevelGenerator.generateLevel({rows: 3, seed: 5});
+    return {
+        fields: fields,
+        moveHistory: [
+            {row: 0, column: 0, previousStatus: 0, nextStatus: 1},
+            {row: 1, column: 2, previousStatus: 0, nextStatus: 2}
+        ]
+    };
+}
+
+test("loads a saved game again", () => {
+    let game = new Kakurasu(KakurasuLevelGenerator.generateGame({rows: 4, seed: 1}));
+    game.setFieldActive(0, 0);
+    game.setFieldFlagged(1, 1);
+    game.pauseTimer();
+    let state = JSON.parse(JSON.stringify(game.asJSON()));
+    assert.strictEqual(state.version, 2);
+    assert.deepStrictEqual(KakurasuSaveFormat.validate(state), []);
+    assert.deepStrictEqual(new Kakurasu(state).asJSON(), state);
+});
+
+test("migrates a state of version 1", () => {
+    let state = createVersion1State();
+    let migratedState = KakurasuSaveFormat.migrate(state);
+    assert.strictEqual(migratedState.version, 2);
+    assert.strictEqual(migratedState.currentMoveIndex, 1);
+    assert.deepStrictEqual(migratedState.moveTree, {
+        nodes: [
+            {parent: null, move: state.moveHistory[0]},
+            {parent: 0, move: state.moveHistory[1]}
+        ],
+        activeBranch: [0, 1],
+        checkpoints: {}
+    });
+    assert.deepStrictEqual(KakurasuSaveFormat.validate(migratedState), []);
+    assert.strictEqual(state.version, undefined);
+
+    let emptyState = KakurasuSaveFormat.migrate({fields: state.fields});
+    assert.deepStrictEqual(emptyState.moveHistory, []);
+    assert.strictEqual(emptyState.currentMoveIndex, null);
+});
+
+test("lists all problems of an invalid state", () => {
+    let state = KakurasuSaveFormat.migrate(createVersion1State());
+    state.fields["0-0"] = {status: 4};
+    delete state.fields["2-2"];
+    state.fields["2-1"].readOnly = "yes";
+    state.moveHistory.push({row: 5, column: 0, previousStatus: 0, nextStatus: 1});
+    state.currentMoveIndex = 7;
+    state.generator = "seed";
+    assert.deepStrictEqual(KakurasuSaveFormat.validate(state), [
+        "field 0-0 has an unknown status 4",
+        "field 2-1 readOnly has to be a boolean",
+        "field 2-2 is missing",
+        "move 2 has an invalid row 5",
+        "currentMoveIndex 7 has to be null or between 0 and 2",
+        "moveTree activeBranch has to contain a node for every move of the moveHistory",
+        "generator has to be an object"
+    ]);
+});
+
+test("throws a KakurasuStateError for an invalid state", () => {
+    assert.throws(() => new Kakurasu({fields: {"a-b": {status: 0}}}), error => {
+        assert.ok(error instanceof KakurasuStateError);
+        assert.deepStrictEqual(error.errors, ["field key a-b has to be \"row-column\""]);
+        return true;
+    });
+    assert.throws(() => new Kakurasu({version: 3, fields: createVersion1State().fields}),
+        /version 3 is newer than the supported version 2/);
+    assert.throws(() => new Kakurasu({version: 0, fields: createVersion1State().fields}),
+        /version 0 is not a valid version/);
+});
+
+test("validates the optional constraints", () => {
+    let state = KakurasuSaveFormat.migrate(createVersion1State());
+    state.constraints = {rows: [1, 2, 3], columns: [3, 2, 1]};
+    assert.deepStrictEqual(KakurasuSaveFormat.validate(state), []);
+    assert.strictEqual(new Kakurasu(state).getConstraintValueForColumn(0), 3);
+
+    state.constraints = {rows: [1, 2], columns: [3, -2, 1000001]};
+    assert.deepStrictEqual(KakurasuSaveFormat.validate(state), [
+        "constraints rows has to be a list of 3 values",
+        "constraints columns value 1 has to be a non negative integer up to 1000000",
+        "constraints columns value 2 has to be a non negative integer up to 1000000"
+    ]);
+});
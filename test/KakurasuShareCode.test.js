@@ -0,0 +1,82 @@
+const test = require("node:test");
+const assert = require("assert");
+const {Kakurasu, KakurasuLevelGenerator, KakurasuShareCode} = require("../src/index.js");
+
+function getStatuses(game){
+    return game.getFieldsAll().map(field => field.getStatus());
+}
+
+function getSolution(game){
+    return game.getAllPredefinedSolutionFields().map(field => [field.row, field.column]);
+}
+
+test("decodes a game with the same constraints, givens and solution", () => {
+    let game = new Kakurasu(KakurasuLevelGenerator.generateGame({rows: 6, maxAttempts: 1, seed: 1}));
+    assert.ok(game.getFieldsAll().some(field => field.isReadOnly()));
+    let code = KakurasuShareCode.encode(game);
+    assert.match(code, /^k1\.6x6\./);
+    let decodedGame = KakurasuShareCode.decode(code);
+    for(let row=0; row<6; row++){
+        assert.strictEqual(decodedGame.getConstraintValueForRow(row), game.getConstraintValueForRow(row));
+    }
+    for(let column=0; column<6; column++){
+        assert.strictEqual(decodedGame.getConstraintValueForColumn(column), game.getConstraintValueForColumn(column));
+    }
+    assert.deepStrictEqual(decodedGame.getFieldsAll().map(field => field.isReadOnly()), game.getFieldsAll().map(field => field.isReadOnly()));
+    assert.deepStrictEqual(getStatuses(decodedGame), getStatuses(game));
+    assert.deepStrictEqual(getSolution(decodedGame), getSolution(game));
+});
+
+test("includes the progress only if requested", () => {
+    let game = new Kakurasu(KakurasuLevelGenerator.generateGame({rows: 5, seed: 2}));
+    game.setFieldActive(0, 0);
+    game.setFieldFlagged(4, 3);
+    assert.deepStrictEqual(getStatuses(KakurasuShareCode.decode(KakurasuShareCode.encode(game))), getStatuses(new Kakurasu(KakurasuLevelGenerator.generateGame({rows: 5, seed: 2}))));
+    let decodedGame = KakurasuShareCode.decode(KakurasuShareCode.encode(game, {progress: true}));
+    assert.deepStrictEqual(getStatuses(decodedGame), getStatuses(game));
+});
+
+test("includes the seed and the config only if requested", () => {
+    let state = KakurasuLevelGenerator.generateGame({rows: 5, seed: 1234, difficulty: "medium"});
+    let game = new Kakurasu(JSON.parse(JSON.stringify(state)));
+    assert.doesNotMatch(KakurasuShareCode.encode(game), /\.s/);
+
+    let code = KakurasuShareCode.encode(game, {seed: true});
+    assert.match(code, /\.sya\.c2-1-rs-1-2-1-2$/);
+    let config = KakurasuShareCode.decode(code).state.generator.config;
+    assert.strictEqual(config.seed, 1234);
+    assert.strictEqual(config.difficulty, "medium");
+    assert.deepStrictEqual(KakurasuLevelGenerator.generateGame(config).fields, state.fields);
+});
+
+test("encodes text seeds", () => {
+    let game = new Kakurasu(KakurasuLevelGenerator.generateGame({rows: 4, seed: "2020-04-01"}));
+    let decodedGame = KakurasuShareCode.decode(KakurasuShareCode.encode(game, {seed: true}));
+    assert.strictEqual(decodedGame.state.generator.config.seed, "2020-04-01");
+});
+
+test("decodes the code of an url", () => {
+    let game = new Kakurasu(KakurasuLevelGenerator.generateGame({rows: 3, seed: 4}));
+    let url = KakurasuShareCode.toURL(game, "https://example.com/play?lang=en");
+    assert.strictEqual(url, "https://example.com/play?lang=en&puzzle="+KakurasuShareCode.encode(game));
+    assert.deepStrictEqual(getSolution(KakurasuShareCode.decode(url)), getSolution(game));
+});
+
+test("rejects invalid codes", () => {
+    let invalidCodes = {
+        "x1.3x3.1-2-3.1-2-3": /it has to start with k1 followed by the size and the constraints/,
+        "k1.0x3.1-2-3": /it has to start with k1/,
+        "k1.0x3.1-2-3.1-2-3": /size 0x3 has to be between 1x1 and 50x50/,
+        "k1.3x3.1-2.1-2-3": /the row constraint part has to be 3 values seperated by -/,
+        "k1.3x3.1-2-3.1-2-!": /the column constraint part contains an invalid value !/,
+        "k1.3x3.1-2-3.1-2-3.z1": /unknown part z1/,
+        "k1.3x3.1-2-3.1-2-3.g1": /the givens part has to be 3 characters/,
+        "k1.3x3.1-2-3.1-2-3.s1.c4-1-1-1-1-1-1": /the config part contains an unknown difficulty/,
+        "k1.1x1.2.2": /the puzzle has no solution/
+    };
+    let codes = Object.keys(invalidCodes);
+    for(let i=0; i<codes.length; i++){
+        assert.throws(() => KakurasuShareCode.decode(codes[i]), invalidCodes[codes[i]]);
+    }
+    assert.throws(() => KakurasuShareCode.decode(5), /Invalid share code: it has to be a string/);
+});
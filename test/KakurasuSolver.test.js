@@ -0,0 +1,75 @@
+const test = require("node:test");
+const assert = require("assert");
+const {Kakurasu, KakurasuLevelGenerator, KakurasuSolver} = require("../src/index.js");
+
+function createState(solution){
+    let fields = {};
+    for(let row=0; row<solution.length; row++){
+        for(let column=0; column<solution[row].length; column++){
+            fields[Kakurasu._getFieldKey(row, column)] = {status: 0, solution: solution[row][column]};
+        }
+    }
+    return {fields: fields};
+}
+
+const UNIQUE = [
+    [true, false, false],
+    [false, true, false],
+    [false, false, true]
+];
+
+const AMBIGUOUS = [
+    [true, true, false],
+    [true, true, false],
+    [false, false, true]
+];
+
+test("finds the only solution of a unique game", () => {
+    let result = new KakurasuSolver(createState(UNIQUE)).solve();
+    assert.strictEqual(result.complete, true);
+    assert.strictEqual(result.unique, true);
+    assert.deepStrictEqual(result.solutions, [UNIQUE]);
+    assert.strictEqual(result.statistics.solutions, 1);
+    assert.ok(result.statistics.nodes > 0);
+});
+
+test("finds a solution matching the constraints of a generated level", () => {
+    let game = new Kakurasu({fields: KakurasuLevelGenerator.generateLevel({rows: 5})});
+    let result = new KakurasuSolver(game).solve();
+    assert.ok(result.solutions.length > 0);
+    let solution = result.solutions[0];
+    for(let row=0; row<5; row++){
+        let sum = 0;
+        for(let column=0; column<5; column++){
+            sum += solution[row][column] ? column+1 : 0;
+        }
+        assert.strictEqual(sum, game.getConstraintValueForRow(row));
+    }
+});
+
+test("detects more than one solution", () => {
+    let result = new KakurasuSolver(createState(AMBIGUOUS)).solve();
+    assert.strictEqual(result.solutions.length, 2);
+    assert.strictEqual(result.unique, false);
+});
+
+test("stops after the limit of solutions", () => {
+    let result = new KakurasuSolver(createState(AMBIGUOUS)).solve({limit: 1});
+    assert.strictEqual(result.solutions.length, 1);
+    assert.strictEqual(result.complete, false);
+    assert.strictEqual(result.unique, false);
+});
+
+test("gives up after the maximum amount of nodes", () => {
+    let result = new KakurasuSolver(createState(AMBIGUOUS)).solve({maxNodes: 1});
+    assert.strictEqual(result.complete, false);
+    assert.strictEqual(result.unique, false);
+});
+
+test("rejects a limit or maxNodes which is not a positive integer", () => {
+    let solver = new KakurasuSolver(createState(UNIQUE));
+    let invalidOptions = [{limit: 0}, {limit: NaN}, {limit: 1.5}, {limit: "2"}, {maxNodes: 0}, {maxNodes: -5}];
+    for(let i=0; i<invalidOptions.length; i++){
+        assert.throws(() => solver.solve(invalidOptions[i]), /has to be a positive integer/);
+    }
+});
@@ -0,0 +1,78 @@
+const test = require("node:test");
+const assert = require("assert");
+const {Kakurasu, KakurasuSaveFormat} = require("../src/index.js");
+
+function createGame(){
+    let solution = [
+        [true, false, false],
+        [false, true, false],
+        [false, false, true]
+    ];
+    let fields = {};
+    for(let row=0; row<solution.length; row++){
+        for(let column=0; column<solution[row].length; column++){
+            fields[Kakurasu._getFieldKey(row, column)] = {status: 0, solution: solution[row][column]};
+        }
+    }
+    return new Kakurasu({fields: fields});
+}
+
+function solve(game){
+    game.setFieldActive(0, 0);
+    game.setFieldActive(1, 1);
+    game.setFieldActive(2, 2);
+}
+
+test("counts moves, mistakes, undos and hints", () => {
+    let game = createGame();
+    assert.notStrictEqual(game.getHint(), null);
+    game.setFieldActive(0, 1);
+    game.undoMove();
+    game.setFieldFlagged(0, 0);
+    let statistics = game.getStatistics();
+    assert.deepStrictEqual([statistics.moves, statistics.mistakes, statistics.undos, statistics.hints], [2, 2, 1, 1]);
+    assert.strictEqual(statistics.score, null);
+});
+
+test("scores a won game and clears the score after an undo", () => {
+    let game = createGame();
+    solve(game);
+    let statistics = game.getStatistics();
+    assert.strictEqual(game.isTimerPaused(), true);
+    assert.strictEqual(statistics.score, 900-Math.floor(statistics.elapsedTime/1000));
+
+    game.undoMove();
+    assert.strictEqual(game.getStatistics().score, null);
+    assert.strictEqual(game.isTimerPaused(), false);
+});
+
+test("counts no mistakes without a unique solution", () => {
+    let game = Kakurasu.fromConstraints({rows: [3, 3, 3], columns: [3, 3, 3]});
+    game.setFieldActive(0, 0);
+    game.setFieldFlagged(0, 1);
+    assert.strictEqual(game.getStatistics().mistakes, 0);
+});
+
+test("pauses and resumes the timer", () => {
+    let game = createGame();
+    assert.strictEqual(game.pauseTimer(), true);
+    assert.strictEqual(game.pauseTimer(), false);
+    let elapsedTime = game.getElapsedTime();
+    assert.strictEqual(game.getElapsedTime(), elapsedTime);
+    game.setFieldActive(0, 0);
+    assert.strictEqual(game.isTimerPaused(), false);
+    assert.strictEqual(game.resumeTimer(), false);
+});
+
+test("starts the statistics of migrated states with their amount of moves", () => {
+    let game = createGame();
+    game.setFieldActive(0, 0);
+    game.setFieldActive(1, 1);
+    let state = JSON.parse(JSON.stringify(game.asJSON()));
+    delete state.version;
+    delete state.moveTree;
+    delete state.statistics;
+    let migratedState = KakurasuSaveFormat.load(state);
+    assert.strictEqual(migratedState.statistics.moves, 2);
+    assert.strictEqual(migratedState.statistics.score, null);
+});
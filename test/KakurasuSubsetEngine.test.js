@@ -0,0 +1,172 @@
+const test = require("node:test");
+const assert = require("assert");
+const {Kakurasu, KakurasuSubsetEngine} = require("../src/index.js");
+
+const UNKNOWN = -1;
+const EXCLUDED = 0;
+const INCLUDED = 1;
+
+/**
+ * Tries every assignment of the unknown cells, the reference for the dynamic programming of the engine
+ */
+function getCompletionsByBruteForce(weights, constraint, values){
+    let unknownIndexes = [];
+    for(let i=0; i<values.length; i++){
+        if(values[i] === UNKNOWN){
+            unknownIndexes.push(i);
+        }
+    }
+    let completions = [];
+    for(let mask=0; mask<(1 << unknownIndexes.length); mask++){
+        let completion = values.slice(0);
+        for(let k=0; k<unknownIndexes.length; k++){
+            completion[unknownIndexes[k]] = (mask & (1 << k)) ? INCLUDED : EXCLUDED;
+        }
+        let sum = weights.reduce((sum, weight, i) => sum+(completion[i] === INCLUDED ? weight : 0), 0);
+        if(sum === constraint){
+            completions.push(completion);
+        }
+    }
+    return completions;
+}
+
+function getDeducedValuesByBruteForce(values, completions){
+    if(completions.length === 0){
+        return null;
+    }
+    return values.map((value, i) => {
+        if(value !== UNKNOWN){
+            return value;
+        }
+        if(completions.every(completion => completion[i] === INCLUDED)){
+            return INCLUDED;
+        }
+        if(completions.every(completion => completion[i] === EXCLUDED)){
+            return EXCLUDED;
+        }
+        return UNKNOWN;
+    });
+}
+
+function sortCompletions(completions){
+    return completions.map(completion => completion.join(",")).sort();
+}
+
+/**
+ * Every line of up to 6 cells with weights 1 to 6 or 2 to 7, every constraint up to the sum and every combination of
+ * unknown, excluded and included cells
+ */
+function forEachLine(callback){
+    let weightLists = [[1, 2, 3, 4, 5, 6], [2, 3, 4, 5, 6, 7], [1, 1, 2, 3, 5]];
+    for(let w=0; w<weightLists.length; w++){
+        let weights = weightLists[w];
+        let total = weights.reduce((sum, weight) => sum+weight, 0);
+        for(let combination=0; combination<Math.pow(3, weights.length); combination++){
+            let values = [];
+            let rest = combination;
+            for(let i=0; i<weights.length; i++){
+                values.push([UNKNOWN, EXCLUDED, INCLUDED][rest%3]);
+                rest = Math.floor(rest/3);
+            }
+            for(let constraint=0; constraint<=total+1; constraint++){
+                callback(weights, constraint, values);
+            }
+        }
+    }
+}
+
+test("getCompletions and countCompletions match every assignment of the unknown cells", () => {
+    forEachLine((weights, constraint, values) => {
+        let expected = getCompletionsByBruteForce(weights, constraint, values);
+        let completions = KakurasuSubsetEngine.getCompletions(weights, constraint, values);
+        assert.deepStrictEqual(sortCompletions(completions), sortCompletions(expected), weights+" "+constraint+" "+values);
+        assert.strictEqual(KakurasuSubsetEngine.countCompletions(weights, constraint, values), expected.length);
+    });
+});
+
+test("analyseLine deduces the cells which are equal in every completion", () => {
+    forEachLine((weights, constraint, values) => {
+        let expected = getDeducedValuesByBruteForce(values, getCompletionsByBruteForce(weights, constraint, values));
+        assert.deepStrictEqual(KakurasuSubsetEngine.analyseLine(weights, constraint, values), expected,
+            weights+" "+constraint+" "+values);
+    });
+});
+
+test("getSubsets returns the weights of every subset", () => {
+    let subsets = KakurasuSubsetEngine.getSubsets([1, 2, 3, 4, 5], 7);
+    assert.deepStrictEqual(subsets.map(subset => subset.join(",")).sort(), ["1,2,4", "2,5", "3,4"]);
+});
+
+test("keeps included and excluded cells fixed", () => {
+    let weights = [1, 2, 3, 4, 5];
+    let values = [UNKNOWN, INCLUDED, UNKNOWN, UNKNOWN, EXCLUDED];
+    assert.deepStrictEqual(KakurasuSubsetEngine.getSubsets(weights, 7, values).map(subset => subset.join(",")).sort(),
+        ["1,2,4"]);
+    assert.deepStrictEqual(KakurasuSubsetEngine.analyseLine(weights, 7, values),
+        [INCLUDED, INCLUDED, EXCLUDED, INCLUDED, EXCLUDED]);
+    assert.strictEqual(KakurasuSubsetEngine.countCompletions(weights, 2, values), 1);
+    assert.strictEqual(KakurasuSubsetEngine.countCompletions(weights, 1, values), 0);
+});
+
+test("a constraint of 0 excludes every cell", () => {
+    let weights = [1, 2, 3];
+    assert.deepStrictEqual(KakurasuSubsetEngine.getSubsets(weights, 0), [[]]);
+    assert.deepStrictEqual(KakurasuSubsetEngine.analyseLine(weights, 0), [EXCLUDED, EXCLUDED, EXCLUDED]);
+    assert.strictEqual(KakurasuSubsetEngine.countCompletions(weights, 0), 1);
+    assert.strictEqual(KakurasuSubsetEngine.analyseLine(weights, 0, [UNKNOWN, INCLUDED, UNKNOWN]), null);
+    assert.strictEqual(KakurasuSubsetEngine.countCompletions(weights, 0, [UNKNOWN, INCLUDED, UNKNOWN]), 0);
+});
+
+test("unreachable and huge constraints have no subset", () => {
+    let weights = [1, 2, 3];
+    assert.deepStrictEqual(KakurasuSubsetEngine.getSubsets(weights, 7), []);
+    assert.strictEqual(KakurasuSubsetEngine.analyseLine(weights, 7), null);
+    assert.strictEqual(KakurasuSubsetEngine.countCompletions(weights, 7), 0);
+    assert.strictEqual(KakurasuSubsetEngine.analyseLine(weights, 5e9), null);
+    assert.strictEqual(KakurasuSubsetEngine.countCompletions(weights, 5e9), 0);
+    assert.deepStrictEqual(KakurasuSubsetEngine.getCompletions(weights, 5e9), []);
+});
+
+test("memoized results are copies and equal to the results after clearing the cache", () => {
+    let weights = [1, 2, 3, 4];
+    let deducedValues = KakurasuSubsetEngine.analyseLine(weights, 10);
+    deducedValues[0] = EXCLUDED;
+    assert.deepStrictEqual(KakurasuSubsetEngine.analyseLine(weights, 10), [INCLUDED, INCLUDED, INCLUDED, INCLUDED]);
+    let count = KakurasuSubsetEngine.countCompletions(weights, 5);
+    KakurasuSubsetEngine.clearCache();
+    assert.strictEqual(KakurasuSubsetEngine.countCompletions(weights, 5), count);
+});
+
+test("getPossibleWeightSolutionSetsForRowColumn uses the weights and constraint of the line", () => {
+    let game = Kakurasu.fromConstraints({rows: [7, 0, 5], columns: [1, 3, 4, 2, 0]});
+    assert.deepStrictEqual(game.getPossibleWeightSolutionSetsForRowColumn(true, 0).map(subset => subset.join(",")).sort(),
+        ["1,2,4", "2,5", "3,4"]);
+    assert.deepStrictEqual(game.getPossibleWeightSolutionSetsForRowColumn(true, 1), [[]]);
+    assert.deepStrictEqual(game.getPossibleWeightSolutionSetsForRowColumn(false, 2).map(subset => subset.join(",")).sort(),
+        ["1,3"]);
+    assert.deepStrictEqual(game.getPossibleWeightSolutionSetsForRowColumn(false, 4), [[]]);
+});
+
+test("getPossibleWeightSolutionSetsForRowColumn fixes active and flagged fields with statuses", () => {
+    let game = Kakurasu.fromConstraints({rows: [7, 0, 5], columns: [1, 3, 4, 2, 0]});
+    game.setFieldActive(0, 1);
+    game.setFieldFlagged(0, 4);
+    assert.deepStrictEqual(game.getPossibleWeightSolutionSetsForRowColumn(true, 0, true), [[1, 2, 4]]);
+    assert.strictEqual(game.getPossibleWeightSolutionSetsForRowColumn(true, 0).length, 3);
+    game.setFieldActive(1, 0);
+    assert.deepStrictEqual(game.getPossibleWeightSolutionSetsForRowColumn(true, 1, true), []);
+});
+
+test("getAllDefinitelySolutionWeightsForRowColumn returns the weights in every subset", () => {
+    let game = Kakurasu.fromConstraints({rows: [7, 0, 5], columns: [1, 3, 4, 2, 0]}, {rows: [1, 2, 3], columns: [1, 2, 3, 4, 5]});
+    assert.deepStrictEqual(game.getAllDefinitelySolutionWeightsForRowColumn(false, 2), [1, 3]);
+    assert.deepStrictEqual(game.getAllDefinitelySolutionWeightsForRowColumn(true, 0), []);
+    assert.deepStrictEqual(game.getAllDefinitelySolutionWeightsForRowColumn(true, 1), []);
+
+    game.setFieldActive(0, 1);
+    game.setFieldFlagged(0, 4);
+    assert.deepStrictEqual(game.getAllDefinitelySolutionWeightsForRowColumn(true, 0, true), [1, 2, 4]);
+    assert.deepStrictEqual(game.getAllDefinitelySolutionWeightsForRowColumn(true, 0), []);
+    game.setFieldFlagged(0, 0);
+    assert.deepStrictEqual(game.getAllDefinitelySolutionWeightsForRowColumn(true, 0, true), []);
+});
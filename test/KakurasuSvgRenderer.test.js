@@ -0,0 +1,62 @@
+const test = require("node:test");
+const assert = require("assert");
+const {Kakurasu, KakurasuSvgRenderer} = require("../src/index.js");
+
+function createGame(){
+    let solution = [
+        [true, false, false],
+        [false, true, false],
+        [false, false, true]
+    ];
+    let fields = {};
+    for(let row=0; row<solution.length; row++){
+        for(let column=0; column<solution[row].length; column++){
+            fields[Kakurasu._getFieldKey(row, column)] = {status: 0, solution: solution[row][column]};
+        }
+    }
+    return new Kakurasu({fields: fields});
+}
+
+function countFills(svg, color){
+    return svg.split("fill=\""+color+"\"").length-1;
+}
+
+test("renders the progress, the puzzle and the solution of a game", () => {
+    let renderer = new KakurasuSvgRenderer({cellSize: 20});
+    let game = createGame();
+    game.setFieldActive(0, 0);
+    let progress = renderer.render(game);
+    assert.match(progress, /^<\?xml version="1.0" encoding="UTF-8"\?>\n<svg xmlns="http:\/\/www.w3.org\/2000\/svg"/);
+    assert.strictEqual(countFills(progress, "#2e7d32"), 2);
+
+    let puzzle = renderer.render(game, "puzzle");
+    assert.strictEqual(countFills(puzzle, "#2e7d32"), 0);
+    assert.ok(countFills(renderer.render(game, "solution"), "#444444") > countFills(puzzle, "#444444"));
+    assert.throws(() => renderer.render(game, "answers"), /Unknown mode answers/);
+});
+
+test("throws for the solution of a game without a unique solution", () => {
+    let renderer = new KakurasuSvgRenderer();
+    let game = Kakurasu.fromConstraints({rows: [3, 3, 3], columns: [3, 3, 3]});
+    assert.throws(() => renderer.render(game, "solution"), /The solution of the game is not known/);
+});
+
+test("merges custom colors into the default theme", () => {
+    let svg = new KakurasuSvgRenderer({theme: {background: "#123456"}}).render(createGame());
+    assert.strictEqual(countFills(svg, "#123456"), 1);
+    assert.ok(countFills(svg, "#000000") > 0);
+    assert.throws(() => new KakurasuSvgRenderer({theme: "neon"}), /Unknown theme neon/);
+});
+
+test("places the games of sheets on pages", () => {
+    let renderer = new KakurasuSvgRenderer({theme: "print"});
+    let games = [];
+    for(let i=0; i<7; i++){
+        games.push(createGame());
+    }
+    let pages = renderer.renderSheets(games, {pageSize: "a5"});
+    assert.strictEqual(pages.length, 2);
+    assert.match(pages[0], /width="148mm" height="210mm" viewBox="0 0 148 210"/);
+    assert.match(pages[1], />#7</);
+    assert.throws(() => renderer.renderSheets(games, {pageSize: "a3"}), /Unknown page size a3/);
+});
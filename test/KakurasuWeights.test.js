@@ -0,0 +1,57 @@
+const test = require("node:test");
+const assert = require("assert");
+const {Kakurasu, KakurasuLevelGenerator, KakurasuSolver, KakurasuShareCode, KakurasuSaveFormat} = require("../src/index.js");
+
+test("returns the weights of the schemes", () => {
+    assert.deepStrictEqual(KakurasuLevelGenerator.getWeights("default", 4), [1, 2, 3, 4]);
+    assert.deepStrictEqual(KakurasuLevelGenerator.getWeights("primes", 5), [2, 3, 5, 7, 11]);
+    assert.deepStrictEqual(KakurasuLevelGenerator.getWeights("powersOfTwo", 4), [1, 2, 4, 8]);
+    assert.deepStrictEqual(KakurasuLevelGenerator.getWeights("reversed", 3), [3, 2, 1]);
+    assert.throws(() => KakurasuLevelGenerator.getWeights("squares", 3), /Unknown weight scheme squares/);
+});
+
+test("generates levels with the weights of the config", () => {
+    let state = KakurasuLevelGenerator.generateGame({rows: 4, columns: 5, seed: 1, weights: {rows: "reversed", columns: [3, 1, 4, 1, 5]}});
+    assert.deepStrictEqual(state.weights, {rows: [4, 3, 2, 1], columns: [3, 1, 4, 1, 5]});
+    let game = new Kakurasu(state);
+    assert.strictEqual(game.getRowWeight(0), 4);
+    assert.strictEqual(game.getColumnWeight(2), 4);
+    for(let row=0; row<4; row++){
+        let sum = game.getFieldsInRow(row).filter(field => field.isSolution())
+            .reduce((total, field) => total+game.getColumnWeight(field.column), 0);
+        assert.strictEqual(game.getConstraintValueForRow(row), sum);
+    }
+    assert.strictEqual(new KakurasuSolver(state).solve().unique, true);
+
+    let defaultState = KakurasuLevelGenerator.generateGame({rows: 4, seed: 1, weights: "default"});
+    assert.strictEqual(defaultState.weights, undefined);
+});
+
+test("rejects weights which do not fit the config", () => {
+    assert.throws(() => KakurasuLevelGenerator.generateGame({rows: 3, weights: {rows: [1, 2]}}),
+        /The weights of the rows have to be 3 positive integers up to 1000/);
+    assert.throws(() => KakurasuLevelGenerator.generateGame({rows: 3, weights: {columns: [1, 2, 1001]}}),
+        /The weights of the columns have to be 3 positive integers up to 1000/);
+});
+
+test("uses the own weight of a field for its row and its column", () => {
+    let game = Kakurasu.fromConstraints({rows: [5, 0], columns: [0, 5]});
+    game.getField(0, 1).setWeight(5);
+    game.setFieldActive(0, 1);
+    assert.strictEqual(game.getField(0, 1).getWeight(), 5);
+    assert.strictEqual(game.isGameWon(), true);
+});
+
+test("keeps the weights in share codes and saved states", () => {
+    let game = Kakurasu.fromConstraints({rows: [2, 7, 3], columns: [5, 5, 3]}, {rows: [2, 3, 5], columns: [2, 3, 5]});
+    let code = KakurasuShareCode.encode(game);
+    assert.match(code, /\.w2-3-5_2-3-5/);
+    let decodedGame = KakurasuShareCode.decode(code);
+    assert.strictEqual(decodedGame.getRowWeight(2), 5);
+    assert.strictEqual(decodedGame.getConstraintValueForRow(1), 7);
+
+    let state = JSON.parse(JSON.stringify(game.asJSON()));
+    state.weights.rows[0] = 1001;
+    assert.deepStrictEqual(KakurasuSaveFormat.validate(state), ["weights rows value 0 has to be a positive integer up to 1000"]);
+    assert.throws(() => KakurasuShareCode.decode("k1.1x1.1.1.wrt_1"), /it has to be at most 1000/);
+});
@@ -2,10 +2,13 @@ const path = require('path');
 
 module.exports = {
     mode: 'production',
-    entry: './src/index.js',
+    entry: {
+        index: './src/index.js',
+        board: './src/KakurasuBoard.js'
+    },
     output: {
         path: path.resolve('lib'),
-        filename: 'index.js',
+        filename: '[name].js',
         libraryTarget: 'commonjs2',
     },
     module: {
@@ -31,6 +34,10 @@ module.exports = {
         }
     },
     externals: {
+        // Only used by the KakurasuFileSystemStorage in node
+        fs: "commonjs fs",
+        // The board uses the game of the main entry, so react is only needed for kakurasu/board
+        "./index": "commonjs ./index.js",
         // Don't bundle react or react-dom
         react: {
             commonjs: "react",